@@ -1,8 +1,14 @@
 // Export all modules from a central location
 const chunker = require('./src/chunker');
 const gitguardian_wrapper = require('./src/gitguardian/gitguardian-wrapper');
+const scanners = require('./src/scanners');
+const logging = require('./src/logging');
+const allowlist = require('./src/allowlist');
 
 module.exports = {
     chunker,
-    gitguardian_wrapper
+    gitguardian_wrapper,
+    scanners,
+    logging,
+    allowlist
 };
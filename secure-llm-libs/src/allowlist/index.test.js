@@ -0,0 +1,74 @@
+const { DEFAULT_VALUES, hashValue, createAllowlist } = require('./index');
+
+const SECRET = 'ghp_' + 'x7Kq2mP9vL4nR8tW1yZ3bC6dF0hJ5sA2eG7u';
+
+/**
+ * Builds a policy break with one match per value
+ * @param {string} type - The detector type
+ * @param {Array<string>} values - The matched values
+ * @param {Object} [fields] - Other policy break fields
+ * @returns {Object} The policy break
+ */
+const policyBreak = (type, values, fields = {}) => ({
+  type,
+  policy: 'Secrets detection',
+  matches: values.map(match => ({ match, index_start: 0, index_end: match.length - 1 })),
+  ...fields
+});
+
+describe('createAllowlist', () => {
+  test('should allow the documentation examples by default', () => {
+    const allowlist = createAllowlist();
+
+    expect(allowlist.reasonFor(policyBreak('AWS Keys', DEFAULT_VALUES))).toBe('value');
+    expect(allowlist.reasonFor(policyBreak('GitHub Token', [SECRET]))).toBeNull();
+    expect(createAllowlist({ defaults: false }).reasonFor(policyBreak('AWS Keys', DEFAULT_VALUES))).toBeNull();
+  });
+
+  test('should only allow a policy break when every match is allowed', () => {
+    const allowlist = createAllowlist();
+
+    expect(allowlist.reasonFor(policyBreak('AWS Keys', [DEFAULT_VALUES[0], 'wJalrXUtnFEMI/K7MDENG/realsecretvalue1']))).toBeNull();
+  });
+
+  test('should allow values by hash and pattern', () => {
+    const allowlist = createAllowlist({ hashes: [hashValue(SECRET).toUpperCase()], patterns: ['^sk_test_'] });
+
+    expect(allowlist.reasonFor(policyBreak('GitHub Token', [SECRET]))).toBe('hash');
+    expect(allowlist.reasonFor(policyBreak('Stripe Keys', ['sk_test_' + '4eC39HqLyjWDarjtT1zdp7dc']))).toBe('pattern');
+    expect(allowlist.reasonFor(policyBreak('Stripe Keys', ['sk_live_' + '4eC39HqLyjWDarjtT1zdp7dc']))).toBeNull();
+  });
+
+  test('should allow detector types and GitGuardian validity and exclusion signals', () => {
+    const allowlist = createAllowlist({ types: ['Generic Password'], validities: ['invalid'], excluded: true });
+
+    expect(allowlist.reasonFor(policyBreak('Generic Password', [SECRET]))).toBe('type');
+    expect(allowlist.reasonFor(policyBreak('GitHub Token', [SECRET], { validity: 'invalid' }))).toBe('validity');
+    expect(allowlist.reasonFor(policyBreak('GitHub Token', [SECRET], { validity: 'valid' }))).toBeNull();
+    expect(allowlist.reasonFor(policyBreak('GitHub Token', [SECRET], { is_excluded: true }))).toBe('excluded');
+  });
+
+  test('should apply team rules to that team only', () => {
+    const allowlist = createAllowlist({ teams: { docs: { types: ['GitHub Token'] } } });
+    const found = policyBreak('GitHub Token', [SECRET]);
+
+    expect(allowlist.reasonFor(found)).toBeNull();
+    expect(allowlist.forTeam('platform').reasonFor(found)).toBeNull();
+    expect(allowlist.forTeam('docs').reasonFor(found)).toBe('type');
+    expect(allowlist.forTeam('docs').reasonFor(policyBreak('AWS Keys', DEFAULT_VALUES))).toBe('value');
+  });
+
+  test('should split a scan result into kept and suppressed policy breaks without secrets', () => {
+    const kept = policyBreak('GitHub Token', [SECRET]);
+    const { scan_result: scanResult, suppressed } = createAllowlist().apply({
+      policy_break_count: 2,
+      policy_breaks: [policyBreak('AWS Keys', DEFAULT_VALUES, { validity: 'no_checker' }), kept]
+    });
+
+    expect(scanResult.policy_breaks).toEqual([kept]);
+    expect(suppressed).toEqual([
+      { type: 'AWS Keys', policy: 'Secrets detection', validity: 'no_checker', reason: 'value', matches: 2 }
+    ]);
+    expect(JSON.stringify(suppressed)).not.toContain(DEFAULT_VALUES[0]);
+  });
+});
@@ -3,18 +3,33 @@
  * Simple CLI for chunker.js
  *
  * Commands:
- *   1. split <input.json> [--outDir <dir>]
- *        → writes   <basename>.chunk0.json … N   (raw chunk strings)
+ *   1. split <input> [--outDir <dir>] [--format <format>]
+ *        → writes   <basename>.chunk0.<ext> … N  (raw chunk strings)
+ *                   <basename>.manifest.json     (source hash, chunk hashes and offsets)
+ *          JSON input is read as a stream, so files larger than memory can be split
  *
- *   2. reconstruct <output.json> <chunk1.json> <chunk2.json> …
- *        → merges all chunks in the order supplied and writes <output.json>
+ *   2. reconstruct <output> --manifest <manifest.json> [<chunk> …]
+ *        → verifies the chunks (those listed in the manifest by default) and writes the
+ *          original document, byte for byte, to <output>
+ *
+ *      reconstruct <output> [--format <format>] <chunk1> <chunk2> …
+ *        → merges all chunks in the order supplied and writes <output>
+ *          (JSON only for files split at the top level; chunk files carry no path)
+ *
+ * Formats are json, ndjson, csv and yaml, detected from the file extension (.json,
+ * .ndjson/.jsonl, .csv, .yaml/.yml) unless --format is given. NDJSON is split between
+ * records, CSV between records with the header repeated in every chunk, and YAML between
+ * documents.
  *
  * No external dependencies – just Node's built-ins.
  */
 
 const fs   = require('fs');
 const path = require('path');
-const { chunkJson, reconstructJson } = require('./');
+const {
+  ChunkIntegrityError, reconstructJson, createJsonChunker, rebuildSource, createManifest,
+  FORMATS, detectFormat, chunkNdjson, chunkCsv, chunkYaml, reconstructNdjson, reconstructCsv, reconstructYaml,
+} = require('./');
 
 const [, , cmd, ...rest] = process.argv;
 
@@ -22,13 +37,30 @@ const [, , cmd, ...rest] = process.argv;
 
 function exitWithUsage(code = 1) {
   console.log(`Usage:
-  node cli.js split <input.json> [--outDir <dir>]
+  node cli.js split <input> [--outDir <dir>] [--format <format>]
+
+  node cli.js reconstruct <output> --manifest <manifest.json> [<chunk> ...]
 
-  node cli.js reconstruct <output.json> <chunk1.json> <chunk2.json> [...]
+  node cli.js reconstruct <output> [--format <format>] <chunk1> <chunk2> [...]
+
+Formats: ${FORMATS.join(', ')} (detected from the file extension by default)
 `);
   process.exit(code);
 }
 
+// Removes --format <format> from args, defaulting to the format of file's extension
+function takeFormat(args, file) {
+  const flag = args.indexOf('--format');
+  if (flag === -1) return detectFormat(file || '');
+
+  const [format] = args.splice(flag, 2).slice(1);
+  if (!FORMATS.includes(format)) {
+    console.error(`✗ unknown format "${format}", expected one of ${FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  return format;
+}
+
 function ensureDir(dir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
@@ -41,9 +73,45 @@ function readChunks(files) {
   }));
 }
 
+// Chunks named in a manifest are identified by file name; missing files are left for
+// the integrity check to report
+function readManifestChunks(manifest, manifestFile, files) {
+  const dir     = path.dirname(manifestFile);
+  const indices = new Map(manifest.chunks.map(entry => [entry.file, entry.index]));
+  const chosen  = files.length > 0 ? files : manifest.chunks.map(entry => path.join(dir, entry.file));
+
+  return chosen
+    .filter(file => fs.existsSync(file))
+    .map(file => ({
+      index : indices.has(path.basename(file)) ? indices.get(path.basename(file)) : path.basename(file),
+      chunk : fs.readFileSync(file, 'utf8'),
+    }));
+}
+
 /* ---------- command: split ---------- */
 
-function cmdSplit(args) {
+const CHUNKERS = { ndjson: chunkNdjson, csv: chunkCsv, yaml: chunkYaml };
+const RECONSTRUCTORS = { ndjson: reconstructNdjson, csv: reconstructCsv, yaml: reconstructYaml };
+
+// Streams JSON through the chunker; the other formats are split in memory
+async function splitFile(input, format, writeChunks) {
+  if (format !== 'json') {
+    const content = fs.readFileSync(input, 'utf8');
+    const chunks  = CHUNKERS[format](content);
+    writeChunks(chunks);
+    return createManifest(content, chunks, format);
+  }
+
+  const chunker = createJsonChunker();
+  for await (const data of fs.createReadStream(input, { encoding: 'utf8', highWaterMark: 1024 * 1024 })) {
+    writeChunks(chunker.write(data));
+  }
+  writeChunks(chunker.end());
+  return chunker.manifest();
+}
+
+async function cmdSplit(args) {
+  const format = takeFormat(args, args[0]);
   const [input] = args;
   if (!input) exitWithUsage();
 
@@ -51,28 +119,60 @@ function cmdSplit(args) {
   const outDir     = outDirFlag !== -1 ? args[outDirFlag + 1] : path.dirname(input);
   ensureDir(outDir);
 
-  const json  = fs.readFileSync(input, 'utf8');
-  const parts = chunkJson(json);
-  const base  = path.basename(input, path.extname(input));
+  const base    = path.basename(input, path.extname(input));
+  const files   = [];
 
-  parts.forEach(({ chunk }, i) => {
-    const outFile = path.join(outDir, `${base}.chunk${i}.json`);
+  const writeChunks = parts => parts.forEach(({ index, chunk }) => {
+    const outFile = path.join(outDir, `${base}.chunk${index}.${format}`);
     fs.writeFileSync(outFile, chunk);
+    files.push(path.basename(outFile));
     console.log('✓ wrote', outFile);
   });
 
+  const manifest = await splitFile(input, format, writeChunks);
+  const parts    = manifest.chunks;
+  parts.forEach((entry, i) => { entry.file = files[i]; });
+
+  const manifestFile = path.join(outDir, `${base}.manifest.json`);
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+  console.log('✓ wrote', manifestFile);
+
   console.log(`\n🚀  Split complete – ${parts.length} chunk(s) created in "${outDir}"`);
 }
 
 /* ---------- command: reconstruct ---------- */
 
 function cmdReconstruct(args) {
+  const manifestFlag = args.indexOf('--manifest');
+  if (manifestFlag !== -1) {
+    const [manifestFile] = args.splice(manifestFlag, 2).slice(1);
+    const [output, ...chunkFiles] = args;
+    if (!output || !manifestFile) exitWithUsage();
+
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    try {
+      fs.writeFileSync(output, rebuildSource(manifest, readManifestChunks(manifest, manifestFile, chunkFiles)));
+    } catch (err) {
+      if (!(err instanceof ChunkIntegrityError)) throw err;
+      console.error('✗ chunks do not match the manifest:');
+      err.problems.forEach(problem => console.error(`  - ${problem}`));
+      process.exit(1);
+    }
+
+    console.log(`\n🔗  Reconstruction complete – verified ${manifest.chunks.length} chunk(s), wrote "${output}"`);
+    return;
+  }
+
+  const format = takeFormat(args, args[0]);
   const [output, ...chunkFiles] = args;
   if (!output || chunkFiles.length === 0) exitWithUsage();
 
   const wrapped   = readChunks(chunkFiles);
-  const combined  = reconstructJson(wrapped);
-  fs.writeFileSync(output, JSON.stringify(combined, null, 2));
+  if (format === 'json') {
+    fs.writeFileSync(output, JSON.stringify(reconstructJson(wrapped), null, 2));
+  } else {
+    fs.writeFileSync(output, RECONSTRUCTORS[format](wrapped));
+  }
 
   console.log(`\n🔗  Reconstruction complete – wrote "${output}"`);
 }
@@ -80,7 +180,12 @@ function cmdReconstruct(args) {
 /* ---------- main ---------- */
 
 switch (cmd) {
-  case 'split':        cmdSplit(rest);        break;
+  case 'split':
+    cmdSplit(rest).catch(err => {
+      console.error(`✗ ${err.message}`);
+      process.exit(1);
+    });
+    break;
   case 'reconstruct':  cmdReconstruct(rest);  break;
   default:             exitWithUsage();
 }
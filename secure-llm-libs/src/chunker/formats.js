@@ -0,0 +1,263 @@
+// formats.js
+/**
+ * Chunking for line-oriented data formats: NDJSON, CSV and YAML.
+ *
+ * Chunks hold whole records, so each one is valid in its format on its own, and are copied
+ * verbatim from the source: `chunk[i] === text[i + offset]`. CSV chunks start with a copy of the
+ * header, and the rest of the chunk is copied from `offset`: `chunk[headerLength + i] === text[i + offset]`.
+ */
+
+const path = require('path');
+
+const MAX_CHUNK_SIZE = 1024 * 1024; // 1 MB, as for chunkJson
+const FORMATS = ['json', 'ndjson', 'csv', 'yaml'];
+const EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+};
+
+/**
+ * Returns the format of a file from its extension
+ * @param {string} filename - The file name
+ * @returns {string} One of FORMATS; 'json' for unknown extensions
+ */
+function detectFormat(filename) {
+  return EXTENSIONS[path.extname(filename).toLowerCase()] || 'json';
+}
+
+/**
+ * Returns the line number of a position
+ * @param {string} text - The text
+ * @param {number} position - The position
+ * @returns {number} The line number, from 1
+ */
+function lineOf(text, position) {
+  let line = 1;
+  for (let i = text.indexOf('\n'); i !== -1 && i < position; i = text.indexOf('\n', i + 1)) {
+    line++;
+  }
+  return line;
+}
+
+/**
+ * Splits text into lines, each with its line break
+ * @param {string} text - The text
+ * @param {number} [from=0] - Where to start
+ * @param {number} [to=text.length] - Where to stop
+ * @returns {Array<Object>} Spans with start and end (exclusive)
+ */
+function lineSpans(text, from = 0, to = text.length) {
+  const spans = [];
+  for (let start = from; start < to;) {
+    const newline = text.indexOf('\n', start);
+    const end = newline === -1 || newline >= to ? to : newline + 1;
+    spans.push({ start, end });
+    start = end;
+  }
+  return spans;
+}
+
+/**
+ * Groups consecutive spans into chunks of at most `budget` bytes
+ * @param {string} text - The text
+ * @param {Array<Object>} spans - Contiguous spans with start and end
+ * @param {number} budget - The largest chunk, in bytes
+ * @param {Function} describe - Called with a span too large for any chunk, returns what it is
+ * @returns {Array<Object>} Groups with start and end
+ */
+function groupSpans(text, spans, budget, describe) {
+  const groups = [];
+  let current = null;
+
+  for (const span of spans) {
+    const size = Buffer.byteLength(text.slice(span.start, span.end), 'utf8');
+    if (size > budget) {
+      throw new Error(`${describe(span)} is larger than the chunk size`);
+    }
+    if (current && current.bytes + size <= budget) {
+      current.end = span.end;
+      current.bytes += size;
+    } else {
+      if (current) groups.push(current);
+      current = { start: span.start, end: span.end, bytes: size };
+    }
+  }
+
+  if (current) groups.push(current);
+  return groups;
+}
+
+/**
+ * Numbers chunks
+ * @param {Array<Object>} chunks - Chunks with chunk and offset
+ * @returns {Array<Object>} Chunks with index and total too
+ */
+function numbered(chunks) {
+  return chunks.map((chunk, i) => ({ index: i, total: chunks.length, ...chunk }));
+}
+
+/* ───────── NDJSON ───────── */
+
+/**
+ * Split NDJSON (JSON Lines) into chunks of whole records.
+ *
+ * @param {string} text - The NDJSON text
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxChunkSize=1048576] - The largest chunk, in bytes
+ * @returns {Array<Object>} Chunks with index, total, chunk and offset
+ */
+function chunkNdjson(text, options = {}) {
+  const { maxChunkSize = MAX_CHUNK_SIZE } = options;
+  const groups = groupSpans(text, lineSpans(text), maxChunkSize, span => `NDJSON record on line ${lineOf(text, span.start)}`);
+  return numbered(groups.map(({ start, end }) => ({ chunk: text.slice(start, end), offset: start })));
+}
+
+/* ───────── CSV ───────── */
+
+/**
+ * Splits CSV text into records, keeping quoted line breaks inside their record
+ * @param {string} text - The CSV text
+ * @param {number} [from=0] - Where to start
+ * @returns {Array<Object>} Spans with start and end, each with its line break
+ */
+function csvRecordSpans(text, from = 0) {
+  const spans = [];
+  let start = from;
+  let quoted = false;
+
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i];
+    // A doubled quote inside a quoted field toggles twice, leaving it quoted
+    if (ch === '"') quoted = !quoted;
+    else if (ch === '\n' && !quoted) {
+      spans.push({ start, end: i + 1 });
+      start = i + 1;
+    }
+  }
+
+  if (start < text.length) spans.push({ start, end: text.length });
+  return spans;
+}
+
+/**
+ * Split CSV into chunks of whole records, each starting with the header record.
+ *
+ * @param {string} text - The CSV text, with a header record
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxChunkSize=1048576] - The largest chunk, in bytes, header included
+ * @returns {Array<Object>} Chunks with index, total, chunk, offset and headerLength
+ */
+function chunkCsv(text, options = {}) {
+  const { maxChunkSize = MAX_CHUNK_SIZE } = options;
+  const [header = { start: 0, end: 0 }, ...records] = csvRecordSpans(text);
+  const headerText = text.slice(header.start, header.end);
+  const budget = maxChunkSize - Buffer.byteLength(headerText, 'utf8');
+
+  if (records.length === 0) {
+    return numbered([{ chunk: text, offset: header.end, headerLength: headerText.length }]);
+  }
+
+  const groups = groupSpans(text, records, budget, span => `CSV record on line ${lineOf(text, span.start)}`);
+  return numbered(groups.map(({ start, end }) => ({
+    chunk: headerText + text.slice(start, end),
+    offset: start,
+    headerLength: headerText.length,
+  })));
+}
+
+/* ───────── YAML ───────── */
+
+const DOCUMENT_START = /^---(?:[ \t\r\n]|$)/;
+// A line at the left margin that starts a top-level mapping entry or sequence item
+const TOP_LEVEL_ENTRY = /^[^\s#]/;
+
+/**
+ * Splits spans of lines wherever a line matches
+ * @param {string} text - The text
+ * @param {Array<Object>} lines - Line spans
+ * @param {Function} startsSpan - Called with a line's text, returns whether a new span starts there
+ * @returns {Array<Object>} Spans with start and end
+ */
+function splitLines(text, lines, startsSpan) {
+  const spans = [];
+  for (const line of lines) {
+    if (spans.length === 0 || startsSpan(text.slice(line.start, line.end))) {
+      spans.push({ start: line.start, end: line.end });
+    } else {
+      spans[spans.length - 1].end = line.end;
+    }
+  }
+  return spans;
+}
+
+/**
+ * Split a YAML stream into chunks of whole documents. A document too large for one chunk is
+ * split between its top-level entries.
+ *
+ * @param {string} text - The YAML text
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxChunkSize=1048576] - The largest chunk, in bytes
+ * @returns {Array<Object>} Chunks with index, total, chunk and offset
+ */
+function chunkYaml(text, options = {}) {
+  const { maxChunkSize = MAX_CHUNK_SIZE } = options;
+
+  const documents = splitLines(text, lineSpans(text), line => DOCUMENT_START.test(line));
+  const spans = documents.flatMap((document) => {
+    if (Buffer.byteLength(text.slice(document.start, document.end), 'utf8') <= maxChunkSize) {
+      return [document];
+    }
+    // The document marker stays with the first entry
+    return splitLines(text, lineSpans(text, document.start, document.end), line => TOP_LEVEL_ENTRY.test(line) && !DOCUMENT_START.test(line) && !line.startsWith('...'));
+  });
+
+  const groups = groupSpans(text, spans, maxChunkSize, span => `YAML entry on line ${lineOf(text, span.start)}`);
+  return numbered(groups.map(({ start, end }) => ({ chunk: text.slice(start, end), offset: start })));
+}
+
+/* ───────── reconstruction ───────── */
+
+/**
+ * Joins NDJSON or YAML chunks back together.
+ *
+ * @param {Array<Object>} chunks - Chunks with index and chunk
+ * @returns {string} The text
+ */
+function reconstructLines(chunks) {
+  return [...chunks]
+    .sort((a, b) => a.index - b.index)
+    .map(c => c.chunk)
+    .join('');
+}
+
+/**
+ * Joins CSV chunks back together, keeping the header of the first one only. The header is
+ * found again in each chunk, so chunk files without headerLength can be joined too.
+ *
+ * @param {Array<Object>} chunks - Chunks with index and chunk
+ * @returns {string} The CSV text
+ */
+function reconstructCsv(chunks) {
+  return [...chunks]
+    .sort((a, b) => a.index - b.index)
+    .map(({ chunk }, i) => {
+      const [header] = csvRecordSpans(chunk);
+      return i === 0 || !header ? chunk : chunk.slice(header.end);
+    })
+    .join('');
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  chunkNdjson,
+  chunkCsv,
+  chunkYaml,
+  reconstructNdjson: reconstructLines,
+  reconstructYaml: reconstructLines,
+  reconstructCsv,
+};
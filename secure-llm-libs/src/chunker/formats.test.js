@@ -0,0 +1,139 @@
+const {
+  detectFormat, chunkNdjson, chunkCsv, chunkYaml, reconstructNdjson, reconstructCsv, reconstructYaml,
+  createManifest, rebuildSource, ChunkIntegrityError,
+} = require('./');
+
+function expectWithinSize(chunks, size) {
+  chunks.forEach(({ chunk }) => expect(Buffer.byteLength(chunk, 'utf8')).toBeLessThanOrEqual(size));
+}
+
+describe('detectFormat', () => {
+  test.each([
+    ['data.json', 'json'],
+    ['events.ndjson', 'ndjson'],
+    ['events.JSONL', 'ndjson'],
+    ['export/users.csv', 'csv'],
+    ['config.yaml', 'yaml'],
+    ['config.yml', 'yaml'],
+    ['notes.txt', 'json'],
+  ])('detects %s as %s', (filename, format) => {
+    expect(detectFormat(filename)).toBe(format);
+  });
+});
+
+describe('chunkNdjson', () => {
+  const records = Array.from({ length: 50 }, (_, i) => JSON.stringify({ id: i, key: 'AKIA' + 'Q3EGRJ7TZ4WB5NXY', note: 'ünïcødé' }));
+  const ndjson = records.join('\n') + '\n';
+
+  test('splits between records and reconstructs the text exactly', () => {
+    const chunks = chunkNdjson(ndjson, { maxChunkSize: 512 });
+
+    expect(chunks.length).toBeGreaterThan(5);
+    expectWithinSize(chunks, 512);
+    chunks.forEach(({ chunk, offset, index, total }, i) => {
+      expect(ndjson.slice(offset, offset + chunk.length)).toBe(chunk);
+      expect([index, total]).toEqual([i, chunks.length]);
+      chunk.trimEnd().split('\n').forEach(line => expect(() => JSON.parse(line)).not.toThrow());
+    });
+    expect(reconstructNdjson([...chunks].reverse())).toBe(ndjson);
+  });
+
+  test('keeps a last record without a line break', () => {
+    const chunks = chunkNdjson('{"a":1}\n{"b":2}', { maxChunkSize: 10 });
+
+    expect(chunks.map(c => c.chunk)).toEqual(['{"a":1}\n', '{"b":2}']);
+  });
+
+  test('rejects a record larger than the chunk size', () => {
+    expect(() => chunkNdjson(`{"a":1}\n{"b":"${'x'.repeat(100)}"}\n`, { maxChunkSize: 50 }))
+      .toThrow('NDJSON record on line 2 is larger than the chunk size');
+  });
+});
+
+describe('chunkCsv', () => {
+  const header = 'id,name,comment\r\n';
+  const rows = Array.from({ length: 40 }, (_, i) => `${i},user${i},"says ""hi"",\r\nthen leaves"\r\n`);
+  const csv = header + rows.join('');
+
+  test('repeats the header in every chunk and keeps quoted line breaks in their record', () => {
+    const chunks = chunkCsv(csv, { maxChunkSize: 256 });
+
+    expect(chunks.length).toBeGreaterThan(5);
+    expectWithinSize(chunks, 256);
+    chunks.forEach(({ chunk, offset, headerLength }) => {
+      expect(headerLength).toBe(header.length);
+      expect(chunk.startsWith(header)).toBe(true);
+      expect(csv.slice(offset, offset + chunk.length - headerLength)).toBe(chunk.slice(headerLength));
+      expect(chunk.slice(headerLength)).toMatch(/^\d+,user\d+,"says ""hi"",\r\nthen leaves"\r\n/);
+    });
+    expect(reconstructCsv(chunks)).toBe(csv);
+  });
+
+  test('chunks a file with only a header', () => {
+    expect(chunkCsv('id,name\n')).toEqual([{ index: 0, total: 1, chunk: 'id,name\n', offset: 8, headerLength: 8 }]);
+  });
+
+  test('rejects a record larger than the chunk size', () => {
+    expect(() => chunkCsv(`id,blob\n1,"${'x'.repeat(100)}\n"\n`, { maxChunkSize: 64 }))
+      .toThrow('CSV record on line 2 is larger than the chunk size');
+  });
+});
+
+describe('chunkYaml', () => {
+  test('splits a stream between documents', () => {
+    const documents = Array.from({ length: 12 }, (_, i) => `---\nname: service${i}\nports:\n  - 80${i}\n`);
+    const yaml = '# services\n' + documents.join('');
+
+    const chunks = chunkYaml(yaml, { maxChunkSize: 100 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    expectWithinSize(chunks, 100);
+    chunks.slice(1).forEach(({ chunk }) => expect(chunk.startsWith('---\n')).toBe(true));
+    expect(reconstructYaml(chunks)).toBe(yaml);
+  });
+
+  test('splits an oversized document between its top-level entries', () => {
+    const entries = Array.from({ length: 10 }, (_, i) => `key${i}:\n  nested: ${'v'.repeat(20)}\n  # comment\n  list:\n    - ${i}\n`);
+    const yaml = '--- # config\n' + entries.join('') + '...\n';
+
+    const chunks = chunkYaml(yaml, { maxChunkSize: 120 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    expectWithinSize(chunks, 120);
+    expect(chunks[0].chunk.startsWith('--- # config\nkey0:\n')).toBe(true);
+    chunks.slice(1).forEach(({ chunk }) => expect(chunk).toMatch(/^key\d+:\n/));
+    expect(reconstructYaml(chunks)).toBe(yaml);
+  });
+
+  test('rejects an entry larger than the chunk size', () => {
+    expect(() => chunkYaml(`a: 1\nb: ${'x'.repeat(100)}\n`, { maxChunkSize: 50 }))
+      .toThrow('YAML entry on line 2 is larger than the chunk size');
+  });
+});
+
+describe('manifests for line formats', () => {
+  const sources = {
+    ndjson: ['{"a":1}\n{"b":2}\n{"c":3}\n', chunkNdjson],
+    csv: ['id,v\n1,a\n2,b\n3,c\n', chunkCsv],
+    yaml: ['---\na: 1\n---\nb: 2\n', chunkYaml],
+  };
+
+  test.each(Object.entries(sources))('rebuilds %s byte for byte', (format, [text, chunker]) => {
+    const chunks = chunker(text, { maxChunkSize: 16 });
+    const manifest = createManifest(text, chunks, format);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(manifest.format).toBe(format);
+    expect(manifest).not.toHaveProperty('root_type');
+    expect(rebuildSource(manifest, chunks)).toBe(text);
+  });
+
+  test('detects a modified CSV chunk', () => {
+    const [text] = sources.csv;
+    const chunks = chunkCsv(text, { maxChunkSize: 16 });
+    const manifest = createManifest(text, chunks, 'csv');
+    chunks[1] = { ...chunks[1], chunk: chunks[1].chunk.replace('3,c', '3,z') };
+
+    expect(() => rebuildSource(manifest, chunks)).toThrow(ChunkIntegrityError);
+  });
+});
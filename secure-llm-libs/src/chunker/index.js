@@ -1,10 +1,45 @@
 // chunker.js
+const crypto = require('crypto');
+const { createJsonChunker, chunkJsonStream, createChunkStream } = require('./stream');
+const {
+  FORMATS, detectFormat, chunkNdjson, chunkCsv, chunkYaml, reconstructNdjson, reconstructCsv, reconstructYaml,
+} = require('./formats');
+
 const MAX_CHUNK_SIZE = 1024 * 1024; // 1 MB
+const MANIFEST_VERSION = 1;
+// Longer than a PEM-encoded 4096-bit RSA private key, so one straddling a cut is whole in the next chunk
+const DEFAULT_TEXT_OVERLAP = 4 * 1024;
+const TEXT_BOUNDARIES = ['line', 'paragraph'];
+
+/**
+ * Error for chunks that do not match their manifest: missing, duplicated, unknown or modified
+ * chunks, or a rebuilt document that differs from the source.
+ */
+class ChunkIntegrityError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {Array<string>} problems - One description per problem found
+   */
+  constructor(message, problems) {
+    super(message);
+    this.name = 'ChunkIntegrityError';
+    this.problems = problems;
+  }
+}
 
 /**
  * Split a JSON string into ≤ 1 MB chunks, keeping keys/values intact.
  * Throws if the root is not an object or array.
- * Returns an array of { index, total, chunk }.
+ * Returns an array of { index, total, chunk, offset, path, type }.
+ *
+ * Each chunk is the source text of consecutive members of one object or array, copied
+ * verbatim and wrapped in that container's brackets, so positions map straight back to the
+ * source: `chunk[i] === jsonString[i + offset]` for every character except the added brackets.
+ *
+ * A member too large for a chunk of its own is split in turn: objects and arrays member by
+ * member, strings into pieces wrapped in quotes. `path` holds the keys and array indices from
+ * the root to the container (or string) a chunk belongs to, and `type` is 'object', 'array'
+ * or 'string', which is all reconstructJson needs to put the pieces back together.
  */
 function chunkJson(jsonString) {
   const parsed = JSON.parse(jsonString);
@@ -15,81 +50,566 @@ function chunkJson(jsonString) {
 
   // If already under the limit, short-circuit
   if (Buffer.byteLength(jsonString, 'utf8') <= MAX_CHUNK_SIZE) {
-    return [{ index: 0, total: 1, chunk: jsonString }];
+    const type = Array.isArray(parsed) ? 'array' : 'object';
+    return [{ index: 0, total: 1, chunk: jsonString, offset: 0, path: [], type }];
   }
 
-  const rawChunks = Array.isArray(parsed)
-    ? chunkArray(parsed)
-    : chunkObject(parsed);
+  const rawChunks = chunkContainer(jsonString, jsonString.search(/\S/), []);
 
-  return rawChunks.map((chunk, i) => ({
+  return rawChunks.map(({ chunk, offset, path, type }, i) => ({
     index: i,
     total: rawChunks.length,
     chunk,
+    offset,
+    path,
+    type,
   }));
 }
 
 /* ───────── helpers ───────── */
 
-function chunkArray(arr) {
+const isWhitespace = ch => ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t';
+
+/**
+ * Finds the source span of each member of the object or array opening at `open`: array
+ * elements, or `"key": value` pairs. The JSON is assumed valid, as it has already been parsed.
+ *
+ * @param {string} json - The document
+ * @param {number} open - Position of the container's opening bracket
+ * @returns {Array<Object>} Members with start and end (exclusive), the start of the value, and
+ *   the key or array index
+ */
+function memberSpans(json, open) {
+  const isObject = json[open] === '{';
+  const spans = [];
+  let depth = 0;
+  let inString = false;
+  let start = -1;
+  let end = -1;
+  let keyEnd = -1;
+  let valueStart = -1;
+
+  for (let i = open + 1; i < json.length; i++) {
+    const ch = json[i];
+
+    if (inString) {
+      if (ch === '\\') {
+        i++;
+      } else if (ch === '"') {
+        inString = false;
+        end = i + 1;
+        if (isObject && keyEnd === -1) keyEnd = end;
+      }
+      continue;
+    }
+    if (isWhitespace(ch)) continue;
+
+    if (depth === 0 && (ch === ',' || ch === ']' || ch === '}')) {
+      if (start !== -1) {
+        const key = isObject ? JSON.parse(json.slice(start, keyEnd)) : spans.length;
+        spans.push({ start, end, valueStart, key });
+      }
+      start = keyEnd = valueStart = -1;
+      if (ch !== ',') break;
+      continue;
+    }
+
+    if (start === -1) start = i;
+    // In objects the value follows the key and its colon
+    if (valueStart === -1 && (!isObject || (keyEnd !== -1 && ch !== ':'))) valueStart = i;
+    if (ch === '"') inString = true;
+    else if (ch === '[' || ch === '{') depth++;
+    else if (ch === ']' || ch === '}') depth--;
+    end = i + 1;
+  }
+
+  return spans;
+}
+
+/**
+ * Groups the members of an object or array into chunks, splitting oversized members further.
+ *
+ * @param {string} json - The document
+ * @param {number} open - Position of the container's opening bracket
+ * @param {Array<string|number>} path - Keys and indices from the root to the container
+ * @returns {Array<Object>} Chunks with chunk, offset, path and type, in document order
+ */
+function chunkContainer(json, open, path) {
+  const [openCh, closeCh, type] = json[open] === '[' ? ['[', ']', 'array'] : ['{', '}', 'object'];
   const chunks = [];
-  let current = [];
-  let currentSize = 2; // opening + closing brackets: []
+  let first = null;
+  let last = null;
+  let currentSize = 0;
+
+  const flush = () => {
+    if (first) {
+      chunks.push({ chunk: openCh + json.slice(first.start, last.end) + closeCh, offset: first.start - 1, path, type });
+    }
+    first = null;
+  };
 
-  for (const item of arr) {
-    const itemStr  = JSON.stringify(item);
-    const itemSize = Buffer.byteLength(itemStr, 'utf8') + (current.length ? 1 : 0); // + comma if not first
+  for (const span of memberSpans(json, open)) {
+    const size = Buffer.byteLength(json.slice(span.start, span.end), 'utf8');
 
-    if (currentSize + itemSize > MAX_CHUNK_SIZE) {
-      chunks.push(JSON.stringify(current));
-      current      = [item];
-      currentSize  = 2 + Buffer.byteLength(itemStr, 'utf8'); // braces + first element
+    if (size + 2 > MAX_CHUNK_SIZE) {
+      flush();
+      chunks.push(...chunkValue(json, span, [...path, span.key]));
+      continue;
+    }
+
+    // A chunk runs from its first member to its last, including the separators between them
+    const extension = first ? Buffer.byteLength(json.slice(last.end, span.end), 'utf8') : 0;
+
+    if (first && currentSize + extension <= MAX_CHUNK_SIZE) {
+      currentSize += extension;
     } else {
-      current.push(item);
-      currentSize += itemSize;
+      flush();
+      first = span;
+      currentSize = 2 + size; // brackets + member
     }
+    last = span;
   }
 
-  if (current.length) chunks.push(JSON.stringify(current));
+  flush();
   return chunks;
 }
 
-function chunkObject(obj) {
+/**
+ * Splits a member's value that does not fit in one chunk.
+ *
+ * @param {string} json - The document
+ * @param {Object} span - The member, from memberSpans
+ * @param {Array<string|number>} path - Keys and indices from the root to the value
+ * @returns {Array<Object>} Chunks with chunk, offset, path and type, in document order
+ */
+function chunkValue(json, span, path) {
+  const ch = json[span.valueStart];
+  if (ch === '[' || ch === '{') {
+    return chunkContainer(json, span.valueStart, path);
+  }
+  if (ch === '"') {
+    return chunkString(json, span.valueStart, span.end, path);
+  }
+  throw new Error(`Value at path ${JSON.stringify(path)} is too large to chunk`);
+}
+
+/**
+ * Splits a string literal into pieces that each fit in a chunk once quoted. Cuts fall between
+ * escape sequences and surrogate pairs, preferably after a space or newline in the second half
+ * of a piece, so that words (and secrets) are rarely cut in two.
+ *
+ * @param {string} json - The document
+ * @param {number} start - Position of the opening quote
+ * @param {number} end - Position after the closing quote
+ * @param {Array<string|number>} path - Keys and indices from the root to the string
+ * @returns {Array<Object>} Chunks with chunk, offset, path and type, in document order
+ */
+function chunkString(json, start, end, path) {
+  const budget = MAX_CHUNK_SIZE - 2; // quotes
   const chunks = [];
-  let current = {};
-  let currentSize = 2; // {}
+  let pieceStart = start + 1;
+  let bytes = 0;
+  let breakAt = -1;
+  let bytesAtBreak = 0;
+
+  const emit = (to) => {
+    chunks.push({ chunk: '"' + json.slice(pieceStart, to) + '"', offset: pieceStart - 1, path, type: 'string' });
+  };
 
-  for (const [key, value] of Object.entries(obj)) {
-    const entry     = `"${key}":${JSON.stringify(value)}`;
-    const entrySize = Buffer.byteLength(entry, 'utf8') + (Object.keys(current).length ? 1 : 0); // + comma
+  for (let i = start + 1; i < end - 1;) {
+    const code = json.charCodeAt(i);
+    let width = 1;
+    let size = code < 0x80 ? 1 : code < 0x800 ? 2 : 3;
+    if (json[i] === '\\') {
+      width = json[i + 1] === 'u' ? 6 : 2;
+      size = width;
+    } else if (code >= 0xd800 && code <= 0xdbff) {
+      width = 2;
+      size = 4;
+    }
 
-    if (currentSize + entrySize > MAX_CHUNK_SIZE) {
-      chunks.push(JSON.stringify(current));
-      current      = {};
-      currentSize  = 2;
+    if (bytes + size > budget) {
+      const cut = breakAt > pieceStart && bytesAtBreak * 2 >= budget ? breakAt : i;
+      emit(cut);
+      bytes = cut === i ? 0 : bytes - bytesAtBreak;
+      pieceStart = cut;
+      breakAt = -1;
     }
 
-    current[key] = value;
-    currentSize += entrySize;
+    bytes += size;
+    i += width;
+    if (json[i - 1] === ' ' || (width === 2 && json[i - 1] === 'n' && json[i - 2] === '\\')) {
+      breakAt = i;
+      bytesAtBreak = bytes;
+    }
   }
 
-  if (Object.keys(current).length) chunks.push(JSON.stringify(current));
+  emit(end - 1);
   return chunks;
 }
 
-function reconstructJson(chunks) {
-  const ordered = [...chunks]
+/* ───────── text ───────── */
+
+/**
+ * Split text such as logs, markdown or source code into chunks of at most `maxChunkSize` bytes.
+ * Returns an array of { index, total, chunk, offset, overlap }.
+ *
+ * Chunks end at the last paragraph break (blank line) or line break that leaves them at least
+ * half full, falling back to a line break, whitespace, and finally any character. Each chunk
+ * after the first starts `overlap` bytes before the previous one ended, so a secret cut in two
+ * at the end of one chunk is whole at the start of the next. Chunks are copied verbatim:
+ * `chunk[i] === text[i + offset]`, and `overlap` counts the leading characters that repeat the
+ * end of the previous chunk.
+ *
+ * @param {string} text - The text
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxChunkSize=1048576] - The largest chunk, in bytes
+ * @param {number} [options.overlap=4096] - How many bytes each chunk repeats from the previous one,
+ *   less than half of maxChunkSize
+ * @param {string} [options.boundary='line'] - 'paragraph' to prefer cutting at blank lines, or 'line'
+ * @returns {Array<Object>} The chunks
+ */
+function chunkText(text, options = {}) {
+  const { maxChunkSize = MAX_CHUNK_SIZE, overlap = DEFAULT_TEXT_OVERLAP, boundary = 'line' } = options;
+
+  if (!TEXT_BOUNDARIES.includes(boundary)) {
+    throw new Error(`Unsupported boundary "${boundary}". Must be one of: ${TEXT_BOUNDARIES.join(', ')}.`);
+  }
+  if (!(overlap >= 0 && overlap * 2 < maxChunkSize)) {
+    throw new Error('Overlap must be at least 0 and less than half of the chunk size.');
+  }
+
+  if (Buffer.byteLength(text, 'utf8') <= maxChunkSize) {
+    return [{ index: 0, total: 1, chunk: text, offset: 0, overlap: 0 }];
+  }
+
+  const spans = [];
+  let start = 0;
+  let shared = 0;
+  for (;;) {
+    const limit = advanceBytes(text, start, maxChunkSize);
+    if (limit >= text.length) {
+      spans.push({ start, end: text.length, shared });
+      break;
+    }
+
+    const end = textBoundary(text, start + Math.ceil((limit - start) / 2), limit, boundary);
+    spans.push({ start, end, shared });
+
+    // Always move forward, even when the overlap is most of a chunk of wide characters
+    const next = Math.max(start + 1, retreatBytes(text, end, overlap));
+    shared = end - next;
+    start = next;
+  }
+
+  return spans.map(({ start: from, end, shared: repeated }, i) => ({
+    index: i,
+    total: spans.length,
+    chunk: text.slice(from, end),
+    offset: from,
+    overlap: repeated,
+  }));
+}
+
+/**
+ * Joins text chunks back together, dropping the characters each one repeats from the previous.
+ *
+ * @param {Array<Object>} chunks - Chunks from chunkText, in any order
+ * @returns {string} The text
+ */
+function reconstructText(chunks) {
+  return [...chunks]
+    .sort((a, b) => a.index - b.index)
+    .map(c => c.chunk.slice(c.overlap || 0))
+    .join('');
+}
+
+/**
+ * Measures the UTF-8 size of the character at a position, keeping surrogate pairs together.
+ *
+ * @param {string} text - The text
+ * @param {number} i - The position
+ * @returns {Array<number>} Its width in UTF-16 code units and its size in bytes
+ */
+function charSize(text, i) {
+  const code = text.charCodeAt(i);
+  if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) return [2, 4];
+  return [1, code < 0x80 ? 1 : code < 0x800 ? 2 : 3];
+}
+
+/**
+ * Finds how far text can extend from a position within a byte budget.
+ *
+ * @param {string} text - The text
+ * @param {number} start - Where to start
+ * @param {number} budget - The budget, in bytes
+ * @returns {number} The furthest end (exclusive) that fits
+ */
+function advanceBytes(text, start, budget) {
+  let i = start;
+  let bytes = 0;
+  while (i < text.length) {
+    const [width, size] = charSize(text, i);
+    if (bytes + size > budget) break;
+    bytes += size;
+    i += width;
+  }
+  return i;
+}
+
+/**
+ * Finds how far back text can extend from a position within a byte budget.
+ *
+ * @param {string} text - The text
+ * @param {number} end - Where to end (exclusive)
+ * @param {number} budget - The budget, in bytes
+ * @returns {number} The earliest start that fits
+ */
+function retreatBytes(text, end, budget) {
+  let i = end;
+  let bytes = 0;
+  while (i > 0) {
+    const width = text.charCodeAt(i - 1) >= 0xdc00 && text.charCodeAt(i - 1) <= 0xdfff && i > 1 ? 2 : 1;
+    const [, size] = charSize(text, i - width);
+    if (bytes + size > budget) break;
+    bytes += size;
+    i -= width;
+  }
+  return i;
+}
+
+/**
+ * Chooses where a text chunk ends, preferring the latest paragraph or line break in a range.
+ *
+ * @param {string} text - The text
+ * @param {number} lower - The earliest acceptable end
+ * @param {number} limit - The latest acceptable end
+ * @param {string} boundary - 'paragraph' or 'line'
+ * @returns {number} The end (exclusive)
+ */
+function textBoundary(text, lower, limit, boundary) {
+  const lastLineBreak = text.lastIndexOf('\n', limit - 1);
+
+  if (boundary === 'paragraph') {
+    // A newline ending a line with nothing but whitespace on it
+    for (let i = lastLineBreak; i >= lower; ) {
+      const previous = text.lastIndexOf('\n', i - 1);
+      if (previous !== -1 && text.slice(previous + 1, i).trim() === '') return i + 1;
+      i = previous;
+    }
+  }
+  if (lastLineBreak >= lower) return lastLineBreak + 1;
+
+  for (let i = limit - 1; i >= lower; i--) {
+    if (isWhitespace(text[i])) return i + 1;
+  }
+  return limit;
+}
+
+const sha256 = text => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+/* ───────── manifest ───────── */
+
+/**
+ * Returns the part of a chunk copied from its source, and where it starts in the source.
+ * JSON chunks copy all but their added brackets or quotes, CSV chunks all but their header,
+ * and other chunks everything.
+ *
+ * @param {string} format - One of FORMATS
+ * @param {string} chunk - The chunk
+ * @param {number} offset - Its offset
+ * @param {number} [headerLength=0] - The length of a CSV chunk's header
+ * @returns {Array} The copied text and its start in the source
+ */
+function copiedText(format, chunk, offset, headerLength = 0) {
+  return format === 'json' ? [chunk.slice(1, -1), offset + 1] : [chunk.slice(headerLength), offset];
+}
+
+/**
+ * Describes how chunks were cut from their source, so they can be verified and the source
+ * rebuilt byte for byte. Returns
+ * `{ version, format, root_type, source: { sha256, bytes }, chunks: [{ index, path, type, offset, length, sha256, separator }], trailer }`,
+ * with `root_type` for JSON only, and `header_length` on the chunks of CSV.
+ *
+ * `offset` and `length` are in characters, like `chunkJson`'s offsets. `separator` is the source
+ * text between the previous chunk and this one (brackets, commas and whitespace that no JSON
+ * chunk holds, or a CSV header), and `trailer` the text after the last chunk.
+ *
+ * @param {string} source - The source document
+ * @param {Array<Object>} chunks - Its chunks, as returned by chunkJson or the chunker for its format
+ * @param {string} [format='json'] - One of FORMATS
+ * @returns {Object} The manifest
+ */
+function createManifest(source, chunks, format = 'json') {
+  let position = 0;
+  const entries = [...chunks]
     .sort((a, b) => a.index - b.index)
-    .map(c => JSON.parse(c.chunk));
+    .map(({ index, chunk, offset, path, type, headerLength }) => {
+      const [copied, start] = copiedText(format, chunk, offset, headerLength);
+      const entry = {
+        index,
+        path,
+        type,
+        offset,
+        length: chunk.length,
+        sha256: sha256(chunk),
+        ...(headerLength !== undefined && { header_length: headerLength }),
+        separator: source.slice(position, start),
+      };
+      position = start + copied.length;
+      return entry;
+    });
 
-  if (Array.isArray(ordered[0])) {
-    return ordered.flat();
+  return {
+    version: MANIFEST_VERSION,
+    format,
+    ...(format === 'json' && { root_type: source[source.search(/\S/)] === '[' ? 'array' : 'object' }),
+    source: { sha256: sha256(source), bytes: Buffer.byteLength(source, 'utf8') },
+    chunks: entries,
+    trailer: source.slice(position),
+  };
+}
+
+/**
+ * Checks chunks against a manifest: every chunk listed exactly once, none unknown, none modified.
+ * Throws a ChunkIntegrityError listing every problem found.
+ *
+ * @param {Object} manifest - The manifest from createManifest
+ * @param {Array<Object>} chunks - Chunks with index and chunk, in any order
+ * @returns {Array<Object>} The chunks in manifest order
+ */
+function verifyChunks(manifest, chunks) {
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new ChunkIntegrityError(`Unsupported manifest version: ${manifest.version}`, []);
+  }
+
+  const entries = new Map(manifest.chunks.map(entry => [entry.index, entry]));
+  const found = new Map();
+  const problems = [];
+
+  for (const c of chunks) {
+    const entry = entries.get(c.index);
+    if (!entry) {
+      problems.push(`chunk ${c.index} is not in the manifest`);
+    } else if (found.has(c.index)) {
+      problems.push(`chunk ${c.index} is duplicated`);
+    } else {
+      found.set(c.index, c);
+      if (sha256(c.chunk) !== entry.sha256) {
+        problems.push(`chunk ${c.index} has been modified (SHA-256 mismatch)`);
+      }
+    }
+  }
+  for (const entry of manifest.chunks) {
+    if (!found.has(entry.index)) problems.push(`chunk ${entry.index} is missing`);
+  }
+
+  if (problems.length > 0) {
+    throw new ChunkIntegrityError(`Chunk integrity check failed: ${problems.join('; ')}`, problems);
+  }
+  return manifest.chunks.map(entry => found.get(entry.index));
+}
+
+/**
+ * Rebuilds the exact source text from verified chunks and checks it against the source hash.
+ *
+ * @param {Object} manifest - The manifest from createManifest
+ * @param {Array<Object>} chunks - Chunks with index and chunk, in any order
+ * @returns {string} The source document
+ */
+function rebuildSource(manifest, chunks) {
+  const ordered = verifyChunks(manifest, chunks);
+  const source = ordered
+    .map(({ chunk }, i) => {
+      const { separator, offset, header_length: headerLength } = manifest.chunks[i];
+      return separator + copiedText(manifest.format || 'json', chunk, offset, headerLength)[0];
+    })
+    .join('') + manifest.trailer;
+
+  if (sha256(source) !== manifest.source.sha256) {
+    const problem = 'the rebuilt document does not match the source SHA-256';
+    throw new ChunkIntegrityError(`Chunk integrity check failed: ${problem}`, [problem]);
+  }
+  return source;
+}
+
+/**
+ * Adds the content of one chunk to the document being rebuilt, creating the containers on its
+ * path as needed. Chunks must be merged in index order, which is document order.
+ *
+ * @param {Object} holder - Holds the document being rebuilt under `value`
+ * @param {Array<string|number>} path - Keys and indices from the root to the chunk's container
+ * @param {string} type - 'object', 'array' or 'string'
+ * @param {*} value - The parsed chunk
+ */
+function mergeChunk(holder, path, type, value) {
+  const keys = ['value', ...path];
+  let parent = holder;
+  keys.slice(0, -1).forEach((key, i) => {
+    if (parent[key] === undefined) parent[key] = typeof keys[i + 1] === 'number' ? [] : {};
+    parent = parent[key];
+  });
+
+  const key = keys[keys.length - 1];
+  if (type === 'string') {
+    parent[key] = (parent[key] || '') + value;
+    return;
   }
-  if (typeof ordered[0] === 'object' && ordered[0] !== null) {
-    return Object.assign({}, ...ordered);
+  if (parent[key] === undefined) parent[key] = type === 'array' ? [] : {};
+  if (type === 'array') {
+    value.forEach(item => parent[key].push(item));
+  } else {
+    Object.assign(parent[key], value);
   }
-  throw new Error('Unsupported chunk content');
 }
 
-module.exports = { chunkJson, reconstructJson };
+/**
+ * Merges chunks back into one value. With a manifest the chunks are verified first and the
+ * source is rebuilt exactly; without one they are trusted and merged in index order, using their
+ * path and type. Chunks without a path are taken to hold members of the root.
+ *
+ * @param {Array<Object>} chunks - Chunks with index and chunk, and path and type when split deeply
+ * @param {Object} [manifest] - The manifest from createManifest
+ * @returns {Object|Array} The parsed document
+ */
+function reconstructJson(chunks, manifest) {
+  if (manifest) {
+    return JSON.parse(rebuildSource(manifest, chunks));
+  }
+
+  const holder = {};
+  [...chunks]
+    .sort((a, b) => a.index - b.index)
+    .forEach(c => {
+      const value = JSON.parse(c.chunk);
+      const type = c.type || (Array.isArray(value) ? 'array' : typeof value === 'object' && value !== null && 'object');
+      if (!type) {
+        throw new Error('Unsupported chunk content');
+      }
+      mergeChunk(holder, c.path || [], type, value);
+    });
+
+  return holder.value;
+}
 
+module.exports = {
+  ChunkIntegrityError,
+  chunkJson,
+  reconstructJson,
+  chunkText,
+  reconstructText,
+  createJsonChunker,
+  chunkJsonStream,
+  createChunkStream,
+  FORMATS,
+  detectFormat,
+  chunkNdjson,
+  chunkCsv,
+  chunkYaml,
+  reconstructNdjson,
+  reconstructCsv,
+  reconstructYaml,
+  createManifest,
+  verifyChunks,
+  rebuildSource,
+};
@@ -1,5 +1,8 @@
 // chunker.test.js
-const { chunkJson, reconstructJson } = require('./');
+const {
+  ChunkIntegrityError, chunkJson, reconstructJson, createManifest, verifyChunks, rebuildSource,
+  chunkText, reconstructText,
+} = require('./');
 const MAX_SIZE = 1024 * 1024;
 
 function createLargeArrayOver1MB() {
@@ -76,6 +79,35 @@ describe('chunkJson + reconstructJson', () => {
     expect(reconstructJson(chunks)).toEqual(input);
   });
 
+  test('records the source offset of each chunk', () => {
+    const input = createLargeObjectOver1MB();
+    const json = JSON.stringify(input, null, 2);
+    const chunks = chunkJson(json);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(({ chunk, offset }) => {
+      // Everything between the added brackets is copied verbatim from the source
+      expect(json.slice(offset + 1, offset + chunk.length - 1)).toBe(chunk.slice(1, -1));
+      expect(Buffer.byteLength(chunk, 'utf8')).toBeLessThanOrEqual(MAX_SIZE);
+    });
+    expect(reconstructJson(chunks)).toEqual(input);
+  });
+
+  test('keeps strings containing brackets, commas and escapes intact', () => {
+    const input = [];
+    while (Buffer.byteLength(JSON.stringify(input), 'utf8') <= MAX_SIZE + 10000) {
+      input.push({ text: 'a "quoted", [bracketed] {braced} \\ value ' + 'x'.repeat(1000) });
+    }
+    const chunks = chunkJson(JSON.stringify(input));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(reconstructJson(chunks)).toEqual(input);
+  });
+
+  test('uses a zero offset for a single chunk', () => {
+    expect(chunkJson('[1, 2]')[0].offset).toBe(0);
+  });
+
   test('includes index and total', () => {
     const input = createLargeArrayOver1MB();
     const chunks = chunkJson(JSON.stringify(input));
@@ -86,3 +118,160 @@ describe('chunkJson + reconstructJson', () => {
   });
 });
 
+describe('deep splitting', () => {
+  const expectVerbatim = (json, chunks) => {
+    chunks.forEach(({ chunk, offset }) => {
+      expect(Buffer.byteLength(chunk, 'utf8')).toBeLessThanOrEqual(MAX_SIZE);
+      expect(json.slice(offset + 1, offset + chunk.length - 1)).toBe(chunk.slice(1, -1));
+    });
+  };
+
+  test('splits an oversized nested object and array', () => {
+    const input = [
+      { id: 'first' },
+      { id: 'big', nested: { items: createLargeArrayOver1MB(), owner: 'team' } },
+      { id: 'last' },
+    ];
+    const json = JSON.stringify(input, null, 2);
+    const chunks = chunkJson(json);
+
+    expectVerbatim(json, chunks);
+    expect(chunks.map(c => JSON.stringify(c.path))).toEqual(expect.arrayContaining(['[]', '[1]', '[1,"nested","items"]']));
+    expect(reconstructJson(chunks)).toEqual(input);
+  });
+
+  test('splits long strings without breaking escapes or multi-byte characters', () => {
+    const line = 'line "one"\twith \\ escapes \u0001 and ünïcødé 😀\n' + 'x'.repeat(200) + ' ';
+    const text = line.repeat(Math.ceil((2.5 * MAX_SIZE) / Buffer.byteLength(line, 'utf8')));
+    const input = { before: 1, text, after: [true, null] };
+    const json = JSON.stringify(input);
+    const chunks = chunkJson(json);
+
+    expectVerbatim(json, chunks);
+    const pieces = chunks.filter(c => c.type === 'string');
+    expect(pieces.length).toBeGreaterThan(2);
+    pieces.forEach(c => {
+      expect(c.path).toEqual(['text']);
+      expect(typeof JSON.parse(c.chunk)).toBe('string');
+    });
+    expect(reconstructJson(chunks)).toEqual(input);
+  });
+
+  test('keeps the chunk offsets contiguous for the manifest', () => {
+    const input = { config: { huge: 'y'.repeat(MAX_SIZE * 2) }, rest: createLargeArrayOver1MB() };
+    const json = JSON.stringify(input, null, 2);
+    const chunks = chunkJson(json);
+
+    expect(rebuildSource(createManifest(json, chunks), chunks)).toBe(json);
+    expect(reconstructJson(chunks, createManifest(json, chunks))).toEqual(input);
+  });
+
+  test('still merges chunks without path metadata', () => {
+    const chunks = [{ index: 1, chunk: '{"b": 2}' }, { index: 0, chunk: '{"a": 1}' }];
+    expect(reconstructJson(chunks)).toEqual({ a: 1, b: 2 });
+  });
+});
+
+describe('chunk manifest', () => {
+  const json = JSON.stringify(createLargeObjectOver1MB(), null, 2) + '\n';
+  const chunks = chunkJson(json);
+  const manifest = createManifest(json, chunks);
+
+  test('records the source hash, root type and each chunk\'s hash and offset', () => {
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(manifest.version).toBe(1);
+    expect(manifest.root_type).toBe('object');
+    expect(manifest.source.bytes).toBe(Buffer.byteLength(json, 'utf8'));
+    expect(manifest.source.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(manifest.chunks.map(c => c.offset)).toEqual(chunks.map(c => c.offset));
+    expect(new Set(manifest.chunks.map(c => c.sha256)).size).toBe(chunks.length);
+  });
+
+  test('rebuilds the source byte for byte, whatever order the chunks arrive in', () => {
+    expect(rebuildSource(manifest, [...chunks].reverse())).toBe(json);
+    expect(reconstructJson(chunks, manifest)).toEqual(JSON.parse(json));
+  });
+
+  test('handles a single chunk with surrounding whitespace', () => {
+    const small = '\n  [1, 2, {"a": "b"}]  \n';
+    const single = chunkJson(small);
+    const singleManifest = createManifest(small, single);
+
+    expect(singleManifest.root_type).toBe('array');
+    expect(rebuildSource(singleManifest, single)).toBe(small);
+  });
+
+  test('reports missing chunks', () => {
+    expect(() => verifyChunks(manifest, chunks.slice(1))).toThrow('chunk 0 is missing');
+  });
+
+  test('reports duplicated and unknown chunks', () => {
+    let error;
+    try {
+      verifyChunks(manifest, [...chunks, chunks[0], { index: 99, chunk: '{}' }]);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ChunkIntegrityError);
+    expect(error.problems).toEqual(['chunk 0 is duplicated', 'chunk 99 is not in the manifest']);
+  });
+
+  test('reports modified chunks', () => {
+    const tampered = chunks.map(c => (c.index === 1 ? { ...c, chunk: c.chunk.replace('AKIA', 'AKIB') } : c));
+
+    expect(() => reconstructJson(tampered, manifest)).toThrow('chunk 1 has been modified (SHA-256 mismatch)');
+  });
+
+  test('checks the rebuilt document against the source hash', () => {
+    const altered = { ...manifest, trailer: manifest.trailer + ' ' };
+
+    expect(() => rebuildSource(altered, chunks)).toThrow(/does not match the source SHA-256/);
+  });
+});
+
+describe('chunkText', () => {
+  const paragraph = 'The deploy finished.\nAll checks passed ✓\n\n';
+  const text = paragraph.repeat(40) + 'z'.repeat(700) + '\n' + 'w'.repeat(1500) + '\n😀 done\n';
+
+  test('keeps small text as one chunk', () => {
+    expect(chunkText('hello\nworld')).toEqual([{ index: 0, total: 1, chunk: 'hello\nworld', offset: 0, overlap: 0 }]);
+  });
+
+  test('copies chunks verbatim within the byte budget and rebuilds the text', () => {
+    const chunks = chunkText(text, { maxChunkSize: 500, overlap: 50 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    chunks.forEach(({ chunk, offset }, i) => {
+      expect(Buffer.byteLength(chunk, 'utf8')).toBeLessThanOrEqual(500);
+      expect(text.slice(offset, offset + chunk.length)).toBe(chunk);
+      expect(chunks[i].total).toBe(chunks.length);
+    });
+    expect(reconstructText([...chunks].reverse())).toBe(text);
+  });
+
+  test('ends chunks at line breaks, or at paragraph breaks when asked', () => {
+    const byLine = chunkText(text, { maxChunkSize: 500, overlap: 0 });
+    const byParagraph = chunkText(text, { maxChunkSize: 500, overlap: 0, boundary: 'paragraph' });
+
+    byLine.slice(0, 3).forEach(({ chunk }) => expect(chunk.endsWith('\n')).toBe(true));
+    byParagraph.slice(0, 3).forEach(({ chunk }) => expect(chunk.endsWith('\n\n')).toBe(true));
+  });
+
+  test('repeats the end of each chunk at the start of the next', () => {
+    const secret = 'ghp_' + 'x7Kq2mP9vL4nR8tW1yZ3bC6dF0hJ5sA2eG7u';
+    const input = 'a'.repeat(480) + secret + 'b'.repeat(480);
+    const chunks = chunkText(input, { maxChunkSize: 500, overlap: 64 });
+
+    // No line breaks or spaces: the first cut falls inside the secret
+    expect(chunks[0].chunk.includes(secret)).toBe(false);
+    expect(chunks[1].overlap).toBe(64);
+    expect(chunks[1].chunk.includes(secret)).toBe(true);
+    expect(reconstructText(chunks)).toBe(input);
+  });
+
+  test('rejects unknown boundaries and oversized overlaps', () => {
+    expect(() => chunkText(text, { boundary: 'sentence' })).toThrow(/Unsupported boundary/);
+    expect(() => chunkText(text, { maxChunkSize: 500, overlap: 250 })).toThrow(/Overlap/);
+  });
+});
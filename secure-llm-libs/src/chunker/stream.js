@@ -0,0 +1,556 @@
+// stream.js
+/**
+ * Streaming JSON chunker, for documents too large to read into memory, such as the datasets
+ * generate-json.js writes.
+ *
+ * The document is tokenized as it arrives and split into the same chunks chunkJson returns
+ * (without `total`, which is only known at the end), described by the same manifest
+ * createManifest builds. Only the text of the chunk being assembled, about one chunk size, and
+ * the stack of open objects and arrays are held in memory.
+ *
+ * The tokenizer follows the structure of the document; everything else is checked by parsing
+ * each chunk before it is returned.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const MAX_CHUNK_SIZE = 1024 * 1024; // 1 MB, as for chunkJson
+const MANIFEST_VERSION = 1; // as for createManifest
+// Chunked text is dropped from the buffer once at least this many characters can go
+const TRIM_THRESHOLD = 1024 * 1024;
+// Small writes are gathered up to this many characters, or the chunk size, before they are tokenized
+const WRITE_BATCH = 64 * 1024;
+
+const WHITESPACE = new Set([' ', '\n', '\r', '\t']);
+// A run of string characters that need no special handling
+const STRING_RUN = /[^"\\]+/y;
+
+const isHighSurrogate = code => code >= 0xd800 && code <= 0xdbff;
+const isLowSurrogate = code => code >= 0xdc00 && code <= 0xdfff;
+const sha256 = text => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+/**
+ * Creates an incremental JSON chunker. Text is pushed in with write() and end(), which return
+ * the chunks completed so far, as { index, chunk, offset, path, type }.
+ *
+ * @param {Object} [options] - Chunker options
+ * @param {number} [options.maxChunkSize=1048576] - The largest chunk, in bytes
+ * @returns {Object} Chunker with write(text), end() and, once ended, manifest()
+ */
+function createJsonChunker(options = {}) {
+  const { maxChunkSize = MAX_CHUNK_SIZE } = options;
+  const writeBatch = Math.min(WRITE_BATCH, maxChunkSize);
+
+  let text = ''; // source text from `base` on, still to be tokenized or chunked
+  let pending = [];
+  let pendingLength = 0;
+  let base = 0;
+  let pos = 0; // source offset of the next character to tokenize
+  let bytePos = 0; // UTF-8 size of the source up to pos
+  let ended = false;
+
+  const frames = []; // open objects and arrays, outermost first
+  let active = -1; // index of the frame whose members are being grouped into chunks
+  let rootFrame = null;
+  let rootClosed = false;
+  let string = null; // the string being tokenized
+  let splitter = null; // cuts the string being tokenized into pieces, when it is too large
+
+  let ready = [];
+  let index = 0;
+  const hash = crypto.createHash('sha256');
+  let heldSurrogate = '';
+  const entries = [];
+  let manifestPos = 0; // where the text copied into the last chunk ends
+  let manifest = null;
+
+  /**
+   * Queues a chunk and records it in the manifest
+   * @param {string} chunk - The chunk
+   * @param {number} offset - Its offset, as for chunkJson
+   * @param {Array<string|number>} path - The path of its container or string
+   * @param {string} type - 'object', 'array' or 'string'
+   */
+  const emit = (chunk, offset, path, type) => {
+    JSON.parse(chunk);
+
+    const start = offset + 1;
+    entries.push({
+      index,
+      path,
+      type,
+      offset,
+      length: chunk.length,
+      sha256: sha256(chunk),
+      separator: text.slice(manifestPos - base, start - base),
+    });
+    manifestPos = start + chunk.length - 2;
+    ready.push({ index: index++, chunk, offset, path, type });
+  };
+
+  /**
+   * Emits the members of a frame grouped so far
+   * @param {Object} frame - The frame
+   */
+  const flush = (frame) => {
+    if (frame.group) {
+      const { start, end } = frame.group;
+      emit(frame.open + text.slice(start - base, end - base) + frame.close, start - 1, frame.path, frame.type);
+      frame.group = null;
+    }
+  };
+
+  /**
+   * Returns the key of a frame's current member
+   * @param {Object} frame - The frame
+   * @returns {string|number} The object key or array index
+   */
+  const memberKey = frame => (frame.type === 'array'
+    ? frame.count
+    : JSON.parse(text.slice(frame.keyStart - base, frame.keyEnd - base)));
+
+  /**
+   * Opens an object or array
+   * @param {string} ch - Its opening bracket
+   * @param {Array<string|number>} path - Its path
+   * @returns {Object} Its frame
+   */
+  const openFrame = (ch, path) => {
+    const frame = {
+      type: ch === '[' ? 'array' : 'object',
+      open: ch,
+      close: ch === '[' ? ']' : '}',
+      path,
+      count: 0,
+      memberStart: -1,
+      memberStartByte: 0,
+      memberEnd: -1,
+      memberEndByte: 0,
+      keyStart: -1,
+      keyEnd: -1,
+      valueStart: -1,
+      group: null,
+      emitted: false, // whether the current member was too large and went out in chunks of its own
+    };
+    frames.push(frame);
+    return frame;
+  };
+
+  /**
+   * Adds a frame's completed member to its group of members, as chunkJson groups them
+   * @param {Object} frame - The frame
+   */
+  const completeMember = (frame) => {
+    if (frame.memberStart !== -1) {
+      if (frame.emitted) {
+        frame.emitted = false;
+      } else {
+        const { group } = frame;
+        const extension = group ? frame.memberEndByte - group.endByte : 0;
+        if (group && group.bytes + extension <= maxChunkSize) {
+          group.end = frame.memberEnd;
+          group.endByte = frame.memberEndByte;
+          group.bytes += extension;
+        } else {
+          flush(frame);
+          frame.group = {
+            start: frame.memberStart,
+            end: frame.memberEnd,
+            endByte: frame.memberEndByte,
+            bytes: 2 + frame.memberEndByte - frame.memberStartByte, // brackets + member
+          };
+        }
+      }
+      frame.count++;
+    }
+    frame.memberStart = frame.keyStart = frame.keyEnd = frame.valueStart = -1;
+  };
+
+  /**
+   * Closes the innermost object or array
+   */
+  const closeFrame = () => {
+    const frame = frames.pop();
+    completeMember(frame);
+
+    const parent = frames[frames.length - 1];
+    if (!parent) {
+      // The root's last chunk waits for end(), which decides whether the document is one chunk
+      rootClosed = true;
+      return;
+    }
+    if (active === frames.length) {
+      flush(frame);
+      active--;
+    }
+    parent.memberEnd = pos;
+    parent.memberEndByte = bytePos;
+  };
+
+  /**
+   * Measures the string token at a position: an escape sequence, a surrogate pair or a character
+   * @param {number} at - Its source offset
+   * @returns {Array<number>} Its width in UTF-16 code units and its size in bytes
+   */
+  const stringToken = (at) => {
+    const i = at - base;
+    if (text[i] === '\\') {
+      const width = text[i + 1] === 'u' ? 6 : 2;
+      return [width, width];
+    }
+    const code = text.charCodeAt(i);
+    if (isHighSurrogate(code) && isLowSurrogate(text.charCodeAt(i + 1))) return [2, 4];
+    return [1, code < 0x80 ? 1 : code < 0x800 ? 2 : 3];
+  };
+
+  /**
+   * Emits the current piece of the string being split
+   * @param {number} to - Where the piece ends
+   */
+  const emitPiece = (to) => {
+    emit('"' + text.slice(splitter.pieceStart - base, to - base) + '"', splitter.pieceStart - 1, splitter.path, 'string');
+  };
+
+  /**
+   * Adds a string token to the current piece, cutting as chunkJson cuts long strings
+   * @param {number} at - The token's source offset
+   * @param {number} width - Its width
+   * @param {number} size - Its size in bytes
+   */
+  const feedSplitter = (at, width, size) => {
+    const budget = maxChunkSize - 2; // quotes
+    if (splitter.bytes + size > budget) {
+      const cut = splitter.breakAt > splitter.pieceStart && splitter.bytesAtBreak * 2 >= budget ? splitter.breakAt : at;
+      emitPiece(cut);
+      splitter.bytes = cut === at ? 0 : splitter.bytes - splitter.bytesAtBreak;
+      splitter.pieceStart = cut;
+      splitter.breakAt = -1;
+    }
+
+    splitter.bytes += size;
+    const end = at + width - base;
+    if (text[end - 1] === ' ' || (width === 2 && text[end - 1] === 'n' && text[end - 2] === '\\')) {
+      splitter.breakAt = end + base;
+      splitter.bytesAtBreak = splitter.bytes;
+    }
+  };
+
+  /**
+   * Splits the active frame's current member, which has grown too large for one chunk
+   * @param {Object} frame - The active frame
+   */
+  const descend = (frame) => {
+    flush(frame);
+    frame.emitted = true;
+
+    const ch = frame.valueStart === -1 ? '' : text[frame.valueStart - base];
+    const path = ch ? [...frame.path, memberKey(frame)] : frame.path;
+    if (ch === '[' || ch === '{') {
+      // The value is the next frame, still open
+      active++;
+      return;
+    }
+    if (ch === '"') {
+      splitter = { path, pieceStart: frame.valueStart + 1, bytes: 0, breakAt: -1, bytesAtBreak: 0 };
+      for (let at = frame.valueStart + 1; at < string.contentEnd;) {
+        const [width, size] = stringToken(at);
+        feedSplitter(at, width, size);
+        at += width;
+      }
+      return;
+    }
+    throw new Error(`Value at path ${JSON.stringify(path)} is too large to chunk`);
+  };
+
+  /**
+   * Splits the active member, and then its parts, for as long as they are too large
+   * @param {boolean} ownContent - Whether the last character belongs to the innermost frame's member
+   */
+  const checkOverflow = (ownContent) => {
+    for (;;) {
+      const frame = frames[active];
+      if (!frame || frame.emitted || frame.memberStart === -1) return;
+
+      const end = frame !== frames[frames.length - 1] || ownContent ? bytePos : frame.memberEndByte;
+      if (end - frame.memberStartByte + 2 <= maxChunkSize) return;
+      descend(frame);
+    }
+  };
+
+  /**
+   * Tokenizes the characters of a string
+   * @returns {boolean} Whether tokenizing can continue, or must wait for more text
+   */
+  const tokenizeString = () => {
+    const i = pos - base;
+    const ch = text[i];
+    const top = frames[frames.length - 1];
+
+    if (ch === '"') {
+      pos++;
+      bytePos++;
+      top.memberEnd = pos;
+      top.memberEndByte = bytePos;
+      if (string.isKey) top.keyEnd = pos;
+      checkOverflow(true);
+      if (splitter) {
+        emitPiece(pos - 1);
+        splitter = null;
+      }
+      string = null;
+      return true;
+    }
+
+    if (!splitter) {
+      STRING_RUN.lastIndex = i;
+      if (STRING_RUN.test(text)) {
+        let end = STRING_RUN.lastIndex;
+        // Keep a surrogate pair together when only its first half has arrived
+        if (end === text.length && !ended && isHighSurrogate(text.charCodeAt(end - 1))) end--;
+        if (end > i) {
+          bytePos += Buffer.byteLength(text.slice(i, end), 'utf8');
+          pos = string.contentEnd = end + base;
+          checkOverflow(true);
+          return true;
+        }
+      }
+    }
+
+    const need = ch === '\\' ? (text[i + 1] === 'u' ? 6 : 2) : isHighSurrogate(text.charCodeAt(i)) ? 2 : 1;
+    if (i + need > text.length) {
+      if (ended) throw new SyntaxError('Unterminated string in JSON input');
+      return false;
+    }
+
+    const [width, size] = stringToken(pos);
+    if (splitter) feedSplitter(pos, width, size);
+    pos += width;
+    bytePos += size;
+    string.contentEnd = pos;
+    checkOverflow(true);
+    return true;
+  };
+
+  /**
+   * Tokenizes as much of the buffered text as possible
+   */
+  const tokenize = () => {
+    while (pos - base < text.length) {
+      if (string) {
+        if (!tokenizeString()) return;
+        continue;
+      }
+
+      const ch = text[pos - base];
+      if (WHITESPACE.has(ch)) {
+        pos++;
+        bytePos++;
+        continue;
+      }
+      if (rootClosed) {
+        throw new SyntaxError(`Unexpected non-whitespace character after JSON at position ${pos}`);
+      }
+
+      const top = frames[frames.length - 1];
+      if (!top) {
+        if (ch !== '{' && ch !== '[') {
+          if ('"-0123456789tfn'.includes(ch)) {
+            throw new Error('Unsupported JSON root type. Must be an object or array.');
+          }
+          throw new SyntaxError(`Unexpected token ${ch} in JSON at position ${pos}`);
+        }
+        rootFrame = openFrame(ch, []);
+        active = 0;
+        pos++;
+        bytePos++;
+        continue;
+      }
+
+      if (ch === ',' || ch === '}' || ch === ']') {
+        if ((ch === ',' && top.memberStart === -1) || (ch !== ',' && ch !== top.close)) {
+          throw new SyntaxError(`Unexpected token ${ch} in JSON at position ${pos}`);
+        }
+        pos++;
+        bytePos++;
+        checkOverflow(false);
+        if (ch === ',') completeMember(top);
+        else closeFrame();
+        continue;
+      }
+
+      if (top.memberStart === -1) {
+        top.memberStart = pos;
+        top.memberStartByte = bytePos;
+      }
+
+      if (ch === '"') {
+        const isKey = top.type === 'object' && top.keyStart === -1;
+        if (isKey) top.keyStart = pos;
+        else if (top.valueStart === -1) top.valueStart = pos;
+        string = { isKey, contentEnd: pos + 1 };
+        pos++;
+        bytePos++;
+        checkOverflow(true);
+        continue;
+      }
+
+      // In objects the value follows the key and its colon
+      if (ch !== ':' && top.valueStart === -1 && (top.type === 'array' || top.keyEnd !== -1)) {
+        top.valueStart = pos;
+      }
+      if (ch === '{' || ch === '[') {
+        openFrame(ch, [...top.path, memberKey(top)]);
+      } else {
+        top.memberEnd = pos + 1;
+        top.memberEndByte = bytePos + 1;
+      }
+      pos++;
+      bytePos++;
+      checkOverflow(true);
+    }
+  };
+
+  /**
+   * Moves written text into the buffer and tokenizes it
+   */
+  const consume = () => {
+    text += pending.join('');
+    pending = [];
+    pendingLength = 0;
+    tokenize();
+    trim();
+  };
+
+  /**
+   * Drops text that no chunk or manifest entry needs any more
+   */
+  const trim = () => {
+    let keep = Math.min(pos, manifestPos);
+    const frame = frames[active];
+    if (frame && frame.group) keep = Math.min(keep, frame.group.start);
+    if (frame && frame.memberStart !== -1 && !frame.emitted) keep = Math.min(keep, frame.memberStart);
+    if (rootClosed && rootFrame.group) keep = Math.min(keep, rootFrame.group.start);
+    if (splitter) keep = Math.min(keep, splitter.pieceStart);
+
+    if (keep - base >= TRIM_THRESHOLD) {
+      text = text.slice(keep - base);
+      base = keep;
+    }
+  };
+
+  /**
+   * Hashes source text, holding back a trailing half surrogate pair until the rest arrives
+   * @param {string} data - The text
+   */
+  const updateHash = (data) => {
+    let whole = heldSurrogate + data;
+    heldSurrogate = '';
+    if (!ended && whole && isHighSurrogate(whole.charCodeAt(whole.length - 1))) {
+      heldSurrogate = whole.slice(-1);
+      whole = whole.slice(0, -1);
+    }
+    hash.update(whole, 'utf8');
+  };
+
+  /**
+   * Returns the chunks completed since the last call
+   * @returns {Array<Object>} The chunks
+   */
+  const take = () => {
+    const completed = ready;
+    ready = [];
+    return completed;
+  };
+
+  return {
+    /**
+     * Adds the next part of the document
+     * @param {string} data - The text
+     * @returns {Array<Object>} Chunks completed by it
+     */
+    write(data) {
+      if (ended) {
+        throw new Error('Cannot write to a chunker that has ended');
+      }
+      updateHash(data);
+      pending.push(data);
+      pendingLength += data.length;
+      if (pendingLength >= writeBatch) consume();
+      return take();
+    },
+
+    /**
+     * Marks the end of the document
+     * @returns {Array<Object>} The remaining chunks
+     */
+    end() {
+      ended = true;
+      updateHash('');
+      consume();
+      if (!rootClosed) {
+        throw new SyntaxError('Unexpected end of JSON input');
+      }
+
+      // As chunkJson, a document that fits is one chunk, whitespace and all
+      if (index === 0 && bytePos <= maxChunkSize) {
+        emit(text, 0, [], rootFrame.type);
+      } else {
+        flush(rootFrame);
+      }
+
+      manifest = {
+        version: MANIFEST_VERSION,
+        format: 'json',
+        root_type: rootFrame.type,
+        source: { sha256: hash.digest('hex'), bytes: bytePos },
+        chunks: entries,
+        trailer: text.slice(manifestPos - base),
+      };
+      return take();
+    },
+
+    /**
+     * Returns the manifest of the document, as createManifest builds it
+     * @returns {Object} The manifest
+     */
+    manifest() {
+      if (!manifest) {
+        throw new Error('The manifest is complete once the chunker has ended');
+      }
+      return manifest;
+    },
+  };
+}
+
+/**
+ * Splits a JSON document read from a stream into chunks as it arrives.
+ *
+ * @param {AsyncIterable<string|Buffer>} source - The document, e.g. a Readable such as fs.createReadStream()
+ * @param {Object} [options] - Options for createJsonChunker
+ * @returns {AsyncGenerator<Object>} The chunks, as { index, chunk, offset, path, type }
+ */
+async function* chunkJsonStream(source, options = {}) {
+  const chunker = createJsonChunker(options);
+  const decoder = new StringDecoder('utf8');
+
+  for await (const data of source) {
+    yield* chunker.write(typeof data === 'string' ? data : decoder.write(data));
+  }
+  yield* chunker.write(decoder.end());
+  yield* chunker.end();
+}
+
+/**
+ * Splits a JSON document read from a stream into a stream of chunks.
+ *
+ * @param {AsyncIterable<string|Buffer>} source - The document
+ * @param {Object} [options] - Options for createJsonChunker
+ * @returns {Readable} An object mode stream of chunks, as for chunkJsonStream
+ */
+function createChunkStream(source, options = {}) {
+  return Readable.from(chunkJsonStream(source, options));
+}
+
+module.exports = { createJsonChunker, chunkJsonStream, createChunkStream };
@@ -0,0 +1,96 @@
+const { Readable } = require('stream');
+const {
+  chunkJson, reconstructJson, createManifest, rebuildSource, createJsonChunker, chunkJsonStream, createChunkStream,
+} = require('./');
+const MAX_SIZE = 1024 * 1024;
+
+function createLargeArray() {
+  return Array.from({ length: 1200 }, (_, i) => ({ secret: 'AKIA' + 'x'.repeat(1000), n: i }));
+}
+
+// Buffers of a fixed size, which cut through multi-byte characters
+function byteParts(json, size) {
+  const bytes = Buffer.from(json, 'utf8');
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    parts.push(bytes.subarray(i, i + size));
+  }
+  return parts;
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('chunkJsonStream', () => {
+  const line = 'line "one"\twith \\ escapes \u0001 and ünïcødé 😀\n' + 'x'.repeat(200) + ' ';
+  const documents = {
+    'a large array': JSON.stringify(createLargeArray()),
+    'an oversized nested value': JSON.stringify([{ id: 'first' }, { nested: { items: createLargeArray() } }, { id: 'last' }], null, 2),
+    'a long string': JSON.stringify({ text: line.repeat(Math.ceil((2.5 * MAX_SIZE) / Buffer.byteLength(line, 'utf8'))) }),
+    'a small document': '  {"a": [1, 2, {"b": "c"}]}\n',
+  };
+
+  test.each(Object.entries(documents))('yields the chunks and manifest of chunkJson for %s', async (name, json) => {
+    const expected = chunkJson(json).map(({ total, ...chunk }) => chunk);
+
+    expect(await collect(chunkJsonStream(byteParts(json, 7919)))).toEqual(expected);
+
+    const chunker = createJsonChunker();
+    const chunks = [...chunker.write(json), ...chunker.end()];
+    expect(chunks).toEqual(expected);
+    expect(chunker.manifest()).toEqual(createManifest(json, chunkJson(json)));
+  });
+
+  test('handles text written a character at a time', () => {
+    const input = { keys: ['AKIA' + 'Q3EGRJ7TZ4WB5NXY', 'ünïcødé 😀 \\"x\\"'.repeat(10)], nested: { deep: [[1, 2], { a: null }] } };
+    const json = JSON.stringify(input, null, 2);
+    const chunker = createJsonChunker({ maxChunkSize: 64 });
+
+    const chunks = [...json].flatMap(character => chunker.write(character));
+    chunks.push(...chunker.end());
+
+    expect(chunks.length).toBeGreaterThan(5);
+    chunks.forEach(({ chunk }) => expect(Buffer.byteLength(chunk, 'utf8')).toBeLessThanOrEqual(64));
+    expect(reconstructJson(chunks)).toEqual(input);
+    expect(rebuildSource(chunker.manifest(), chunks)).toBe(json);
+  });
+
+  test('splits a document produced as it is read, one chunk at a time', async () => {
+    function* records() {
+      yield '[';
+      for (let i = 0; i < 20000; i++) {
+        yield `${i ? ',' : ''}{"id":${i},"payload":"${'p'.repeat(500)}"}`;
+      }
+      yield ']';
+    }
+
+    const chunks = await collect(createChunkStream(Readable.from(records())));
+
+    expect(chunks.length).toBeGreaterThan(9);
+    chunks.forEach(({ chunk }, i) => {
+      expect(Buffer.byteLength(chunk, 'utf8')).toBeLessThanOrEqual(MAX_SIZE);
+      expect(chunks[i].index).toBe(i);
+    });
+    expect(reconstructJson(chunks)).toHaveLength(20000);
+  });
+
+  test('rejects primitive roots and malformed documents', async () => {
+    await expect(collect(chunkJsonStream(['"string"']))).rejects.toThrow(/Unsupported JSON root type/);
+    await expect(collect(chunkJsonStream(['{"a": [1, 2}']))).rejects.toThrow(SyntaxError);
+    await expect(collect(chunkJsonStream(['{"a": "b']))).rejects.toThrow(SyntaxError);
+    await expect(collect(chunkJsonStream(['[1] [2]']))).rejects.toThrow(SyntaxError);
+    await expect(collect(chunkJsonStream(['{"a": tru}']))).rejects.toThrow(SyntaxError);
+  });
+
+  test('only has a manifest once ended', () => {
+    const chunker = createJsonChunker();
+    chunker.write('[1, 2');
+
+    expect(() => chunker.manifest()).toThrow(/once the chunker has ended/);
+  });
+});
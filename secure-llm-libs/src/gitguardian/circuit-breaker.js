@@ -0,0 +1,127 @@
+/**
+ * Circuit breaker that stops calling a failing service for a while.
+ *
+ * - `closed`: requests are allowed; consecutive failures are counted
+ * - `open`: requests are refused until `resetTimeoutMs` has passed since the circuit opened
+ * - `half_open`: a single trial request is allowed; its outcome closes or reopens the circuit
+ */
+
+const STATES = ['closed', 'open', 'half_open'];
+
+/**
+ * Error thrown instead of calling a service whose circuit is open
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {number} retryAt - When the circuit allows a trial request, in milliseconds since the epoch
+   */
+  constructor(message, retryAt) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Creates a circuit breaker
+ * @param {Object} [options] - Breaker settings
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+ * @param {number} [options.resetTimeoutMs=30000] - How long the circuit stays open before a trial request
+ * @param {Function} [options.onStateChange] - Called with the new and previous state on every transition
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {Object} Breaker with state, failures, retryAt, canRequest(), recordSuccess(), recordFailure() and reset()
+ */
+function createCircuitBreaker(options = {}) {
+  const {
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    onStateChange,
+    now = Date.now
+  } = options;
+
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const transition = (next) => {
+    if (next !== state) {
+      const previous = state;
+      state = next;
+      if (onStateChange) {
+        onStateChange(next, previous);
+      }
+    }
+  };
+
+  return {
+    get state() {
+      // An open circuit is reported as half-open once a trial request would be allowed
+      return state === 'open' && now() - openedAt >= resetTimeoutMs ? 'half_open' : state;
+    },
+
+    get failures() {
+      return failures;
+    },
+
+    // When an open circuit next allows a trial request, or null when it is not open
+    get retryAt() {
+      return state === 'open' ? openedAt + resetTimeoutMs : null;
+    },
+
+    /**
+     * Checks whether a request may be sent, claiming the trial request of a half-open circuit
+     * @returns {boolean} Whether to send the request
+     */
+    canRequest() {
+      if (state === 'open' && now() - openedAt >= resetTimeoutMs) {
+        transition('half_open');
+      }
+      if (state === 'half_open') {
+        if (trialInFlight) {
+          return false;
+        }
+        trialInFlight = true;
+        return true;
+      }
+      return state === 'closed';
+    },
+
+    /**
+     * Records a request that reached a healthy service, closing the circuit
+     * @returns {void}
+     */
+    recordSuccess() {
+      failures = 0;
+      trialInFlight = false;
+      transition('closed');
+    },
+
+    /**
+     * Records a failed request, opening the circuit after failureThreshold consecutive failures
+     * or when a trial request fails
+     * @returns {void}
+     */
+    recordFailure() {
+      failures++;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        openedAt = now();
+        trialInFlight = false;
+        transition('open');
+      }
+    },
+
+    /**
+     * Closes the circuit and forgets past failures
+     * @returns {void}
+     */
+    reset() {
+      failures = 0;
+      trialInFlight = false;
+      transition('closed');
+    }
+  };
+}
+
+module.exports = { STATES, CircuitOpenError, createCircuitBreaker };
@@ -0,0 +1,97 @@
+const { CircuitOpenError, createCircuitBreaker } = require('./circuit-breaker');
+
+describe('createCircuitBreaker', () => {
+  let time;
+  let transitions;
+  let breaker;
+
+  beforeEach(() => {
+    time = 0;
+    transitions = [];
+    breaker = createCircuitBreaker({
+      failureThreshold: 3,
+      resetTimeoutMs: 1000,
+      now: () => time,
+      onStateChange: (state, previous) => transitions.push(`${previous}->${state}`)
+    });
+  });
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) {
+      breaker.recordFailure();
+    }
+  };
+
+  test('should stay closed below the failure threshold', () => {
+    fail(2);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(2);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('should reset the failure count on success', () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('should open after consecutive failures and refuse requests', () => {
+    fail(3);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.retryAt).toBe(1000);
+    expect(breaker.canRequest()).toBe(false);
+    expect(transitions).toEqual(['closed->open']);
+  });
+
+  test('should allow a single trial request once the reset timeout has passed', () => {
+    fail(3);
+    time = 1000;
+
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('should close when the trial request succeeds', () => {
+    fail(3);
+    time = 1000;
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.retryAt).toBeNull();
+    expect(transitions).toEqual(['closed->open', 'open->half_open', 'half_open->closed']);
+  });
+
+  test('should reopen when the trial request fails', () => {
+    fail(3);
+    time = 1500;
+    breaker.canRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.retryAt).toBe(2500);
+  });
+
+  test('should close on reset', () => {
+    fail(3);
+    breaker.reset();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+  });
+});
+
+describe('CircuitOpenError', () => {
+  test('should carry the time a trial request is allowed', () => {
+    const error = new CircuitOpenError('open', 1234);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('CircuitOpenError');
+    expect(error.retryAt).toBe(1234);
+  });
+});
@@ -4,7 +4,12 @@
 
 const fs   = require('fs');
 const path = require('path');
-const { chunkJson } = require('../chunker');
+const crypto = require('crypto');
+const { chunkJson, chunkText } = require('../chunker');
+const { CircuitOpenError, createCircuitBreaker } = require('./circuit-breaker');
+const { createLogger } = require('../logging');
+const { createScanCache } = require('./scan-cache');
+const { redactJsonContent } = require('./json-redaction');
 
 /* ---------- fetch helper (works on every Node) ---------- */
 
@@ -19,19 +24,228 @@ if (typeof fetch === 'function') {
 
 const MAX_MB          = 1;
 const MAX_DOC_SIZE    = MAX_MB * 1024 * 1024;
-const MAX_DOCS        = 20;
+const MAX_DOCS        = 20;                        // per multiscan request
+const MAX_DOCUMENTS   = 1000;                      // per scan, across all requests
+const CONCURRENCY     = 4;
+const RETRIES         = 2;
+const BASE_DELAY_MS   = 250;
+const MAX_DELAY_MS    = 4000;
 const GG_ENDPOINT     = 'https://api.gitguardian.com/v1/multiscan';
+// Socket and DNS errors that mean GitGuardian could not be reached
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN']);
+const SECRET_PLACEHOLDER_PATTERN = /<<SECRET_\d+>>/g;
+const REDACTION_STRATEGIES = ['redact', 'typed', 'partial', 'mask', 'hash'];
+
+const logger = createLogger({ context: { component: 'gitguardian-wrapper' } });
+
+// Shared by every scan in this process unless a caller passes its own, so that a GitGuardian
+// outage stops all scans rather than each one waiting out its retries
+const circuitBreaker = createCircuitBreaker();
+
+// Used by the hash strategy when no salt is given, so hashes only correlate within this process
+const PROCESS_SALT = crypto.randomBytes(16).toString('hex');
 
 /* ---------- helpers ---------- */
 
 /**
- * Scans content using GitGuardian API
+ * Error for a GitGuardian response other than 2xx
+ */
+class GitGuardianApiError extends Error {
+  /**
+   * @param {number} status - The HTTP status
+   * @param {string} body - The response body
+   * @param {number|null} retryAfterMs - The delay requested by a Retry-After header, if any
+   */
+  constructor(status, body, retryAfterMs) {
+    super(`GitGuardian API error ${status}: ${body}`);
+    this.name = 'GitGuardianApiError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Error for a GitGuardian request aborted after its timeout
+ */
+class GitGuardianTimeoutError extends Error {
+  /**
+   * @param {number} timeoutMs - The timeout that was reached
+   */
+  constructor(timeoutMs) {
+    super(`GitGuardian API request timed out after ${timeoutMs}ms`);
+    this.name = 'GitGuardianTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Parses a Retry-After header, which is either a number of seconds or an HTTP date
+ * @param {string|null} value - The header value
+ * @param {number} [now=Date.now()] - The current time
+ * @returns {number|null} The requested delay in milliseconds, or null when absent or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Checks whether a request failed because GitGuardian could not be reached. Node's fetch fails
+ * with a TypeError('fetch failed') holding the socket error as its cause, node-fetch with the code.
+ * @param {Error} error - The failure
+ * @returns {boolean} Whether it is a network error
+ */
+function isNetworkError(error) {
+  return error.message === 'fetch failed'
+    || NETWORK_ERROR_CODES.has(error.code)
+    || Boolean(error.cause && NETWORK_ERROR_CODES.has(error.cause.code));
+}
+
+/**
+ * Checks whether a failed request is worth repeating, and whether GitGuardian is unavailable:
+ * timeouts, network errors, an open circuit breaker, 429 and 5xx. Anything else, such as a
+ * missing API key or a bug, is not.
+ * @param {Error} error - The failure
+ * @returns {boolean} Whether to retry
+ */
+function isRetryable(error) {
+  if (error instanceof GitGuardianApiError) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return error instanceof GitGuardianTimeoutError
+    || error instanceof CircuitOpenError
+    || error.name === 'AbortError'
+    || isNetworkError(error);
+}
+
+/**
+ * Returns the delay before a retry: the server's Retry-After when given, otherwise exponential
+ * backoff with full jitter
+ * @param {Error} error - The failure being retried
+ * @param {number} attempt - The number of the retry, from 0
+ * @param {Object} options - Retry settings with baseDelayMs and maxDelayMs
+ * @returns {number} The delay in milliseconds
+ */
+function retryDelay(error, attempt, { baseDelayMs, maxDelayMs }) {
+  if (error.retryAfterMs != null) {
+    return error.retryAfterMs;
+  }
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+/**
+ * Sends one multiscan request of at most MAX_DOCS documents, aborting it after timeoutMs
+ * @param {Array<Object>} docs - The documents
+ * @param {string} apiKey - GitGuardian API key
+ * @param {Object} options - Request options
+ * @param {string} options.endpoint - The multiscan URL
+ * @param {number} [options.timeoutMs] - Abort the request after this many milliseconds
+ * @returns {Promise<Array>} Scan results, one per document
+ */
+async function postMultiscan(docs, apiKey, { endpoint, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  try {
+    const resp = await fetchFn(endpoint, {
+      method  : 'POST',
+      headers : {
+        'Content-Type' : 'application/json',
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify(docs),          // <-- ARRAY, not {documents: …}
+      signal: controller.signal,
+    });
+
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => resp.statusText);
+      const retryAfter = resp.headers && resp.headers.get('retry-after');
+      throw new GitGuardianApiError(resp.status, txt, parseRetryAfter(retryAfter));
+    }
+    return await resp.json();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new GitGuardianTimeoutError(timeoutMs);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Sends a multiscan request through the circuit breaker, retrying timeouts, network errors,
+ * 429 and 5xx responses. A Retry-After longer than maxDelayMs is not waited for.
+ * @param {Array<Object>} docs - The documents
+ * @param {string} apiKey - GitGuardian API key
+ * @param {Object} options - Request and retry settings, see gitguardianMultiscan
+ * @returns {Promise<Array>} Scan results, one per document
+ * @throws {CircuitOpenError} When the circuit breaker is open
+ */
+async function postMultiscanWithRetry(docs, apiKey, options) {
+  const { retries, circuitBreaker: breaker } = options;
+
+  if (!breaker.canRequest()) {
+    throw new CircuitOpenError('GitGuardian circuit breaker is open; not sending scan requests', breaker.retryAt);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const results = await postMultiscan(docs, apiKey, options);
+      breaker.recordSuccess();
+      return results;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        // The service answered, so this says nothing about its health
+        breaker.recordSuccess();
+        throw error;
+      }
+      const delay = retryDelay(error, attempt, options);
+      if (attempt >= retries || delay > options.maxDelayMs) {
+        breaker.recordFailure();
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Scans content using GitGuardian API. Documents are sent in batches of MAX_DOCS, at most
+ * `concurrency` batches at a time, and the results are returned in document order.
  * @param {string|Array} contentOrDocs - Content to scan or pre-built document array
  * @param {string} apiKey - GitGuardian API key
  * @param {string} [filename] - Filename to use (if content is provided)
+ * @param {Object} [options] - Request options
+ * @param {number} [options.timeoutMs] - Abort each request after this many milliseconds
+ * @param {number} [options.retries=2] - How many times to retry a request that timed out, failed
+ *   to connect or got a 429 or 5xx response
+ * @param {number} [options.baseDelayMs=250] - The backoff before the first retry, doubling with each one
+ * @param {number} [options.maxDelayMs=4000] - The longest backoff, and the longest Retry-After honoured
+ * @param {Object} [options.circuitBreaker] - The circuit breaker guarding the API; defaults to the shared one
+ * @param {string} [options.endpoint] - The multiscan URL, defaulting to the GitGuardian API
+ * @param {number} [options.concurrency=4] - The maximum number of requests in flight
+ * @param {number} [options.maxDocuments=1000] - Refuse to scan more documents than this
+ * @param {Function} [options.onProgress] - Called after each batch with completedBatches,
+ *   totalBatches, completedDocuments and totalDocuments
  * @returns {Promise<Array>} Scan results
  */
-async function gitguardianMultiscan(contentOrDocs, apiKey, filename = "document.txt") {
+async function gitguardianMultiscan(contentOrDocs, apiKey, filename = "document.txt", options = {}) {
+  const { concurrency = CONCURRENCY, maxDocuments = MAX_DOCUMENTS, onProgress } = options;
+  const requestOptions = {
+    endpoint: options.endpoint || GG_ENDPOINT,
+    timeoutMs: options.timeoutMs,
+    retries: options.retries ?? RETRIES,
+    baseDelayMs: options.baseDelayMs ?? BASE_DELAY_MS,
+    maxDelayMs: options.maxDelayMs ?? MAX_DELAY_MS,
+    circuitBreaker: options.circuitBreaker || circuitBreaker,
+  };
   if (!apiKey) {
     throw new Error('GitGuardian API key is required');
   }
@@ -40,7 +254,7 @@ async function gitguardianMultiscan(contentOrDocs, apiKey, filename = "document.
   let docs;
   if (typeof contentOrDocs === 'string') {
     // Build documents from raw content
-    docs = buildDocuments(contentOrDocs, filename);
+    docs = buildDocuments(contentOrDocs, filename, maxDocuments);
   } else if (Array.isArray(contentOrDocs)) {
     // Use the provided documents directly
     docs = contentOrDocs;
@@ -48,57 +262,246 @@ async function gitguardianMultiscan(contentOrDocs, apiKey, filename = "document.
     throw new Error('contentOrDocs must be a string or an array of documents');
   }
 
-  // Make the API call
-  const resp = await fetchFn(GG_ENDPOINT, {
-    method  : 'POST',
-    headers : {
-      'Content-Type' : 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify(docs),          // <-- ARRAY, not {documents: …}
-  });
+  if (docs.length > maxDocuments) {
+    throw new Error(`Scan would need ${docs.length} documents (>${maxDocuments}); aborting.`);
+  }
+  if (docs.length <= MAX_DOCS) {
+    const results = await postMultiscanWithRetry(docs, apiKey, requestOptions);
+    if (onProgress) {
+      onProgress({ completedBatches: 1, totalBatches: 1, completedDocuments: docs.length, totalDocuments: docs.length });
+    }
+    return results;
+  }
 
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => resp.statusText);
-    throw new Error(`GitGuardian API error ${resp.status}: ${txt}`);
+  const batches = [];
+  for (let i = 0; i < docs.length; i += MAX_DOCS) {
+    batches.push(docs.slice(i, i + MAX_DOCS));
   }
-  return resp.json();
+
+  // A fixed pool of workers takes the next batch as each request completes
+  const results = new Array(batches.length);
+  let next = 0;
+  let failed = false;
+  let completedBatches = 0;
+  let completedDocuments = 0;
+  const worker = async () => {
+    while (!failed && next < batches.length) {
+      const index = next++;
+      try {
+        results[index] = await postMultiscanWithRetry(batches[index], apiKey, requestOptions);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+      completedBatches++;
+      completedDocuments += batches[index].length;
+      if (onProgress) {
+        onProgress({ completedBatches, totalBatches: batches.length, completedDocuments, totalDocuments: docs.length });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, batches.length)) }, worker));
+
+  return results.flat();
 }
 
-function buildDocuments(raw, filename) {
+/**
+ * Splits content between the members of its objects and arrays when it is JSON, and between its
+ * lines otherwise
+ * @param {string} raw - The content
+ * @param {Object} [textOptions] - Options for text content, see chunkText
+ * @returns {Array<Object>} Chunks with chunk and offset
+ */
+function chunkContent(raw, textOptions) {
+  if (/^\s*[[{]/.test(raw)) {
+    try {
+      return chunkJson(raw);
+    } catch (error) {
+      // Not JSON after all, or holding a value the JSON chunker cannot split: any text can be split by lines
+    }
+  }
+  return chunkText(raw, textOptions);
+}
+
+/**
+ * Splits content into scan documents, recording where each one starts in the content
+ * @param {string} raw - The content
+ * @param {string} filename - The base filename
+ * @param {number} [maxDocuments=1000] - Refuse to split into more documents than this
+ * @param {Object} [textOptions] - How to split content that is not JSON, see chunkText
+ * @returns {Array<Object>} Documents with filename, document and offset, such that
+ *   `document[i]` corresponds to `raw[i + offset]`
+ */
+function buildChunks(raw, filename, maxDocuments = MAX_DOCUMENTS, textOptions) {
   if (Buffer.byteLength(raw, 'utf8') <= MAX_DOC_SIZE) {
-    return [{ filename, document: raw }];
+    return [{ filename, document: raw, offset: 0 }];
   }
 
-  const chunks = chunkJson(raw).map(c => c.chunk);
-  if (chunks.length > MAX_DOCS) {
-    throw new Error(`File would need ${chunks.length} chunks (>${MAX_DOCS}); aborting.`);
+  const chunks = chunkContent(raw, textOptions);
+  if (chunks.length > maxDocuments) {
+    throw new Error(`File would need ${chunks.length} chunks (>${maxDocuments}); aborting.`);
   }
 
-  return chunks.map((doc, i) => ({
+  return chunks.map(({ chunk, offset }, i) => ({
     filename: `${filename}.part${i}`,
-    document: doc,
+    document: chunk,
+    offset,
   }));
 }
 
+/**
+ * Splits content into scan documents, as JSON or as text depending on the content
+ * @param {string} raw - The content
+ * @param {string} filename - The base filename
+ * @param {number} [maxDocuments=1000] - Refuse to split into more documents than this
+ * @param {Object} [textOptions] - How to split content that is not JSON, see chunkText
+ * @returns {Array<Object>} Documents with filename and document
+ */
+function buildDocuments(raw, filename, maxDocuments, textOptions) {
+  return buildChunks(raw, filename, maxDocuments, textOptions).map(({ filename, document }) => ({ filename, document }));
+}
+
+/**
+ * Shifts the match positions of a scan result from document to source coordinates
+ * @param {Object} result - The GitGuardian result for one document
+ * @param {number} offset - The position of the document in the source
+ * @returns {Object} The result with translated index_start/index_end values
+ */
+function translateResult(result, offset) {
+  if (!offset || !result.policy_breaks) {
+    return result;
+  }
+
+  return {
+    ...result,
+    policy_breaks: result.policy_breaks.map(policyBreak => ({
+      ...policyBreak,
+      matches: (policyBreak.matches || []).map(match => ({
+        ...match,
+        ...(match.index_start !== undefined && { index_start: match.index_start + offset }),
+        ...(match.index_end !== undefined && { index_end: match.index_end + offset }),
+      })),
+    })),
+  };
+}
+
+/**
+ * Creates a request-scoped vault that swaps secrets for stable placeholders such as
+ * `<<SECRET_1>>` and can later put the originals back. The mapping only lives in memory,
+ * so a vault must never be shared between callers.
+ * @returns {Object} Vault with tokenize(value), restore(text) and size
+ */
+function createSecretVault() {
+  const placeholders = new Map();
+  const originals = new Map();
+
+  return {
+    /**
+     * Returns the placeholder for a secret, reusing it when the same value is seen again
+     * @param {string} value - The secret
+     * @returns {string} The placeholder
+     */
+    tokenize(value) {
+      if (!placeholders.has(value)) {
+        const placeholder = `<<SECRET_${placeholders.size + 1}>>`;
+        placeholders.set(value, placeholder);
+        originals.set(placeholder, value);
+      }
+      return placeholders.get(value);
+    },
+
+    /**
+     * Replaces the placeholders issued by this vault with their secrets
+     * @param {string} text - Text that may contain placeholders
+     * @returns {string} The text with secrets restored
+     */
+    restore(text) {
+      return text.replace(SECRET_PLACEHOLDER_PATTERN, placeholder => originals.get(placeholder) ?? placeholder);
+    },
+
+    get size() {
+      return placeholders.size;
+    }
+  };
+}
+
+/**
+ * Creates a function that computes the replacement for a matched secret.
+ *
+ * - `redact`: the literal `REDACTED` (the default)
+ * - `typed`: `[REDACTED:<detector type>]`, e.g. `[REDACTED:AWS Keys]`
+ * - `partial`: keeps `prefix`/`suffix` characters (default 4/4) and masks the rest,
+ *   masking everything when that would reveal more than half of the value
+ * - `mask`: `char` (default `*`) repeated to the length of the value
+ * - `hash`: `[REDACTED:<12 hex characters>]` from an HMAC-SHA256 of the value with `salt`,
+ *   so the same secret can be correlated across requests without being revealed
+ *
+ * @param {string|Object|Function} [spec='redact'] - A strategy name, an object with a `type`
+ *   and its settings, or a custom `(value, match) => replacement` function
+ * @returns {Function} Function of the secret value and its match returning the replacement
+ */
+function createRedactionStrategy(spec = 'redact') {
+  if (typeof spec === 'function') {
+    return spec;
+  }
+
+  const { type, prefix = 4, suffix = 4, char = '*', salt = PROCESS_SALT } = typeof spec === 'string' ? { type: spec } : spec;
+  switch (type) {
+    case 'redact':
+      return () => 'REDACTED';
+    case 'typed':
+      return (value, match) => `[REDACTED:${match.type}]`;
+    case 'partial':
+      return (value) => {
+        if ((prefix + suffix) * 2 > value.length) {
+          return char.repeat(value.length);
+        }
+        return value.slice(0, prefix) + char.repeat(value.length - prefix - suffix) + value.slice(value.length - suffix);
+      };
+    case 'mask':
+      return (value) => char.repeat(value.length);
+    case 'hash':
+      return (value) => `[REDACTED:${crypto.createHmac('sha256', salt).update(value).digest('hex').slice(0, 12)}]`;
+    default:
+      throw new Error(`Unknown redaction strategy "${type}"; expected one of ${REDACTION_STRATEGIES.join(', ')}`);
+  }
+}
+
 /**
  * Redacts sensitive content based on GitGuardian scan results
  * @param {string} content - The content to redact
  * @param {Object} scanResult - The GitGuardian scan result
- * @returns {Object} Object containing redacted content and redaction info
+ * @param {Object} [options] - Redaction options
+ * @param {string|Object|Function} [options.strategy='redact'] - The redaction strategy, see createRedactionStrategy
+ * @param {Object} [options.strategies] - Strategies keyed by detector type or policy name, overriding `strategy`
+ * @param {Object} [options.vault] - A secret vault; matches are replaced with its placeholders, overriding any strategy
+ * @param {string} [options.format='text'] - 'json' to redact JSON content value by value, keeping it valid JSON;
+ *   content that does not parse as JSON is redacted as text
+ * @returns {Object} Object containing redacted content and redaction info, and in JSON mode the JSONPath of
+ *   each redaction and the redacted_paths
  */
-function redactSensitiveContent(content, scanResult) {
+function redactSensitiveContent(content, scanResult, options = {}) {
+  const { vault, strategy, strategies = {}, format = 'text' } = options;
+  const defaultStrategy = createRedactionStrategy(strategy);
+  const strategyFor = match => {
+    // Detector type overrides win over policy overrides
+    const key = [match.type, match.policy].find(name => Object.prototype.hasOwnProperty.call(strategies, name));
+    return key === undefined ? defaultStrategy : createRedactionStrategy(strategies[key]);
+  };
+  const replacementFor = (value, match) => (vault ? vault.tokenize(value) : strategyFor(match)(value, match));
+
   if (!scanResult.policy_breaks || scanResult.policy_breaks.length === 0) {
     return {
       content,
-      redactions: []
+      redactions: [],
+      ...(format === 'json' && { redacted_paths: [] })
     };
   }
 
   let redactedContent = content;
   const redactions = [];
   const processedRanges = new Set();
-  const sensitiveValues = new Set();
+  const sensitiveValues = new Map();
 
   // Sort matches by start position in reverse order to avoid position shifts
   const allMatches = scanResult.policy_breaks.flatMap(policyBreak => {
@@ -110,14 +513,14 @@ function redactSensitiveContent(content, scanResult) {
             (match.type === 'password' || match.type === 'connection_uri' || 
              match.type === 'username' || match.type === 'token' || 
              match.type === 'api_key' || match.type === 'private_key')) {
-          sensitiveValues.add(match.match);
+          sensitiveValues.set(match.match, { type: policyBreak.type, policy: policyBreak.policy });
         }
         
         return {
           ...match,
           type: policyBreak.type,
-          start: match.index_start || match.start,
-          end: (match.index_end || match.end) + 1, // Add 1 to include the last character
+          start: match.index_start ?? match.start,
+          end: (match.index_end ?? match.end) + 1, // Add 1 to include the last character
           policy: policyBreak.policy
         };
       });
@@ -125,22 +528,52 @@ function redactSensitiveContent(content, scanResult) {
     return [];
   }).sort((a, b) => b.start - a.start);
 
-  // Apply redactions based on position
-  for (const match of allMatches) {
-    if (match.start === undefined || match.end === undefined) {
-      continue; // Skip matches without position information
+  const nestedMatches = [];
+  const positionedMatches = allMatches.filter(match => {
+    if (!Number.isFinite(match.start) || !Number.isFinite(match.end)) {
+      return false; // Skip matches without position information
+    }
+
+    // Skip matches nested inside a larger one (e.g. the password of a connection URI),
+    // as replacing both would splice the outer replacement at shifted positions
+    const isNested = allMatches.some(other => other !== match &&
+      other.start <= match.start && other.end >= match.end &&
+      (other.end - other.start) > (match.end - match.start));
+    if (isNested) {
+      nestedMatches.push(match);
+      return false;
     }
 
     // Create a unique key for this range
     const rangeKey = `${match.start}-${match.end}`;
     if (processedRanges.has(rangeKey)) {
-      continue; // Skip if we've already processed this range
+      return false; // Skip if we've already processed this range
     }
     processedRanges.add(rangeKey);
+    return true;
+  });
+
+  if (format === 'json') {
+    try {
+      // Nested matches and sensitive values are redacted wherever else they appear, as in text
+      const repeated = [
+        ...nestedMatches,
+        ...[...sensitiveValues].map(([value, valueMatch]) => ({ ...valueMatch, match: value }))
+      ];
+      return redactJsonContent(content, positionedMatches, replacementFor, repeated);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) {
+        throw error;
+      }
+      logger.debug('Content is not valid JSON, redacting it as text', { error: error.message });
+    }
+  }
 
+  // Apply redactions based on position
+  for (const match of positionedMatches) {
     const before = redactedContent.substring(0, match.start);
     const after = redactedContent.substring(match.end);
-    redactedContent = before + 'REDACTED' + after;
+    redactedContent = before + replacementFor(content.substring(match.start, match.end), match) + after;
 
     redactions.push({
       type: match.type,
@@ -153,12 +586,12 @@ function redactSensitiveContent(content, scanResult) {
 
   // Additional pass to redact any remaining instances of sensitive values
   // This ensures we catch values that might appear in multiple places
-  for (const sensitiveValue of sensitiveValues) {
+  for (const [sensitiveValue, valueMatch] of sensitiveValues) {
     if (sensitiveValue && sensitiveValue.length >= 6) { // Only redact meaningful values
       // Use regex with word boundaries to avoid partial matches
       const regex = new RegExp(`(?<=[^a-zA-Z0-9]|^)${escapeRegExp(sensitiveValue)}(?=[^a-zA-Z0-9]|$)`, 'g');
       if (redactedContent.includes(sensitiveValue)) {
-        redactedContent = redactedContent.replace(regex, 'REDACTED');
+        redactedContent = redactedContent.replace(regex, () => replacementFor(sensitiveValue, valueMatch));
       }
     }
   }
@@ -176,64 +609,207 @@ function escapeRegExp(string) {
 
 
 /**
- * Scans content for sensitive information with optional redaction
- * @param {string} content - Content to scan
+ * Scans documents with a backend, or GitGuardian by default, reusing cached results and caching new ones
+ * @param {Array<Object>} documents - Documents with filename and document
  * @param {string} apiKey - GitGuardian API key
- * @param {Object} [options] - Scan options
- * @param {string} [options.filename="document.txt"] - Filename to use for the scan
- * @param {boolean} [options.redact=true] - Whether to redact sensitive content
- * @returns {Promise<Object>} Object with scan results and optional redaction info
+ * @param {string} filename - The base filename
+ * @param {Object} options - Request options, see scan
+ * @param {Object} [options.backend] - A scanner backend
+ * @param {Object} [options.cache] - A scan result cache, see createScanCache; results a fallback backend
+ *   returned in place of its primary backend are not cached
+ * @returns {Promise<Object>} The results, one per document, and with a cache, its hits and misses for these documents
  */
-async function scan(content, apiKey, options = {}) {
+async function scanDocuments(documents, apiKey, filename, { backend, cache, ...requestOptions }) {
+  const send = (docs, hooks) => (backend
+    ? backend.scan(docs, { apiKey, ...requestOptions, ...hooks })
+    : gitguardianMultiscan(docs, apiKey, filename, requestOptions));
+  if (!cache) {
+    return { results: await send(documents) };
+  }
+
+  const namespace = backend ? backend.name : 'gitguardian';
+  const cached = await Promise.all(documents.map(({ document }) => cache.get(document, namespace)));
+  const missing = documents.filter((_, i) => !cached[i]);
+
+  // Results from a fallback backend, answering while the primary one is unavailable, are not cached,
+  // so the primary backend scans the documents again once it recovers
+  let fellBack = false;
+  const fresh = missing.length > 0 ? await send(missing, { onFallback: () => { fellBack = true; } }) : [];
+  if (!fellBack) {
+    await Promise.all(missing.map(({ document }, i) => fresh[i] && cache.set(document, fresh[i], namespace)));
+  }
+
+  let next = 0;
+  return {
+    results: cached.map(result => result || fresh[next++]),
+    cache: { hits: documents.length - missing.length, misses: missing.length }
+  };
+}
+
+/**
+ * Combines the results of one content's documents into a single scan result
+ * @param {Array<Object>} results - Document results, with positions in the content
+ * @returns {Object} The scan result
+ */
+function combineResults(results) {
+  if (results.length === 1) {
+    return results[0];
+  }
+
+  // Overlapping text chunks report a secret in the overlap twice, at the same position
+  const seen = new Set();
+  const policyBreaks = results.flatMap(result => result.policy_breaks || []).filter(policyBreak => {
+    const key = JSON.stringify([
+      policyBreak.type,
+      (policyBreak.matches || []).map(match => [match.match_type, match.index_start, match.index_end])
+    ]);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+  return { policy_breaks: policyBreaks };
+}
+
+/**
+ * Scans several contents for sensitive information with optional redaction, packing the documents
+ * of all of them into one multiscan document array. They share requests to GitGuardian, and are
+ * split across requests only where the per-request document limit requires it.
+ * @param {Array<Object>} items - The contents to scan, each with content and an optional filename
+ * @param {string} apiKey - GitGuardian API key
+ * @param {Object} [options] - Scan options, as for scan() except filename
+ * @returns {Promise<Object>} Object with one result per item, each shaped like a scan() result without
+ *   the cache field, and, with a cache, the cache hits and misses of the whole batch; or, when scanning
+ *   failed, with the error and the circuit breaker state, which are also set on every item's result
+ */
+async function scanBatch(items, apiKey, options = {}) {
   const { 
-    filename = "document.txt", 
-    redact = true 
+    redact = true,
+    timeoutMs,
+    concurrency,
+    maxDocuments,
+    onProgress,
+    retries,
+    baseDelayMs,
+    maxDelayMs,
+    circuitBreaker: breaker = circuitBreaker,
+    endpoint,
+    backend,
+    cache,
+    allowlist,
+    format,
+    strategy,
+    strategies,
+    vault,
+    textChunking
   } = options;
+  const redactOptions = { strategy, strategies, vault, format };
   
   try {
-    // Scan the content
-    const results = await gitguardianMultiscan(content, apiKey, filename);
-
-    console.log('GIT GUARDIAN SCAN RESULTS', JSON.stringify(results))
-
-    // Process scan results
-    let scanResult;
-    if (results.length === 1) {
-      scanResult = results[0];
-    } else {
-      // Combine policy breaks from all chunks
-      scanResult = {
-        policy_breaks: []
-      };
-      
-      for (const result of results) {
-        if (result.policy_breaks && result.policy_breaks.length > 0) {
-          scanResult.policy_breaks.push(...result.policy_breaks);
-        }
+    // Scan the documents of all items together, translating chunk positions back to positions in each item
+    const chunksByItem = items.map(({ content, filename = "document.txt" }) => buildChunks(content, filename, maxDocuments, textChunking));
+    const chunks = chunksByItem.flat();
+    const documents = chunks.map(({ filename, document }) => ({ filename, document }));
+    const { results: documentResults, cache: cacheUsage } = await scanDocuments(documents, apiKey, "document.txt", {
+      timeoutMs, concurrency, maxDocuments, onProgress, retries, baseDelayMs, maxDelayMs, circuitBreaker: breaker, endpoint,
+      backend,
+      cache
+    });
+    const results = documentResults.map((result, i) => translateResult(result, chunks[i] && chunks[i].offset));
+
+    logger.debug('GitGuardian scan completed', {
+      items: items.length,
+      documents: documents.length,
+      policy_breaks: results.map(result => (result.policy_breaks || []).map(({ type, policy }) => ({ type, policy })))
+    });
+
+    let next = 0;
+    const itemResults = items.map(({ content }, i) => {
+      const combined = combineResults(results.slice(next, next += chunksByItem[i].length));
+
+      // Allowlisted policy breaks are left out before anything is redacted
+      const { scan_result: scanResult, suppressed } = allowlist
+        ? allowlist.apply(combined)
+        : { scan_result: combined };
+      const details = { scan_result: scanResult, ...(suppressed && { suppressed }) };
+
+      // Apply redactions if requested, optionally only to the selected policy breaks
+      if (typeof redact === 'function') {
+        const selected = { ...scanResult, policy_breaks: (scanResult.policy_breaks || []).filter(redact) };
+        return { ...redactSensitiveContent(content, selected, redactOptions), ...details };
+      } else if (redact) {
+        return { ...redactSensitiveContent(content, scanResult, redactOptions), ...details };
       }
-    }
-    
-    // Apply redactions if requested
-    if (redact) {
-      return redactSensitiveContent(content, scanResult);
-    } else {
       // Return scan result without redaction
-      return {
-        content,
-        redactions: [],
-        scan_result: scanResult
-      };
-    }
+      return { content, redactions: [], ...details };
+    });
+
+    return { results: itemResults, ...(cacheUsage && { cache: cacheUsage }) };
   } catch (error) {
-    console.log('GitGuardian scan failed:', error.message);
-    // Return original content if scanning fails
+    logger.warn('GitGuardian scan failed', { error, circuit_state: breaker.state });
+    // Return the original contents if scanning fails
+    const failure = { error: error.message, circuit_state: breaker.state };
     return {
-      content,
-      redactions: [],
-      error: error.message
+      results: items.map(({ content }) => ({ content, redactions: [], ...failure })),
+      ...failure
     };
   }
 }
 
-module.exports = { gitguardianMultiscan, buildDocuments, redactSensitiveContent, scan };
+/**
+ * Scans content for sensitive information with optional redaction
+ * @param {string} content - Content to scan
+ * @param {string} apiKey - GitGuardian API key
+ * @param {Object} [options] - Scan options
+ * @param {string} [options.filename="document.txt"] - Filename to use for the scan
+ * @param {number} [options.timeoutMs] - Fail the scan if GitGuardian does not respond in time
+ * @param {number} [options.concurrency] - The maximum number of multiscan requests in flight
+ * @param {number} [options.maxDocuments] - Fail the scan if the content needs more documents than this
+ * @param {Function} [options.onProgress] - Called after each multiscan request, see gitguardianMultiscan
+ * @param {number} [options.retries] - Retries per request, see gitguardianMultiscan
+ * @param {number} [options.baseDelayMs] - The backoff before the first retry
+ * @param {number} [options.maxDelayMs] - The longest backoff, and the longest Retry-After honoured
+ * @param {Object} [options.circuitBreaker] - The circuit breaker guarding the API
+ * @param {string} [options.endpoint] - The multiscan URL
+ * @param {Object} [options.backend] - A scanner backend (see src/scanners) used instead of calling GitGuardian directly
+ * @param {Object} [options.cache] - A scan result cache (see createScanCache) for documents scanned before
+ * @param {Object} [options.allowlist] - An allowlist (see src/allowlist) of policy breaks to leave out of the
+ *   scan result, which are described in the result's suppressed field instead
+ * @param {string|Object|Function} [options.strategy] - The redaction strategy, see createRedactionStrategy
+ * @param {Object} [options.strategies] - Strategies keyed by detector type or policy name
+ * @param {Object} [options.vault] - A secret vault to redact with reversible placeholders
+ * @param {string} [options.format='text'] - 'json' to redact JSON content structurally, see redactSensitiveContent
+ * @param {Object} [options.textChunking] - How to split large content that is not JSON, with overlap (bytes)
+ *   and boundary ('line' or 'paragraph'), see chunkText
+ * @param {boolean|Function} [options.redact=true] - Whether to redact sensitive content, or a
+ *   predicate called with each policy break that selects the ones to redact
+ * @returns {Promise<Object>} Object with the content, redaction info, the combined scan result and,
+ *   with a cache, the cache hits and misses; or with the original content, an error and the circuit
+ *   breaker state when scanning failed
+ */
+async function scan(content, apiKey, options = {}) {
+  const { filename, ...batchOptions } = options;
+  const { results, cache } = await scanBatch([{ content, filename }], apiKey, batchOptions);
+  return { ...results[0], ...(cache && { cache }) };
+}
+
+module.exports = {
+  REDACTION_STRATEGIES,
+  GitGuardianApiError,
+  GitGuardianTimeoutError,
+  CircuitOpenError,
+  circuitBreaker,
+  createCircuitBreaker,
+  parseRetryAfter,
+  isRetryable,
+  createScanCache,
+  gitguardianMultiscan,
+  buildDocuments,
+  createSecretVault,
+  createRedactionStrategy,
+  redactSensitiveContent,
+  scanBatch,
+  scan
+};
 
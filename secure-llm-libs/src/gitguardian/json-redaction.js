@@ -0,0 +1,261 @@
+/**
+ * Structural redaction of JSON documents.
+ *
+ * Matches found by character offset are mapped onto the scalar values (and keys) of the parsed
+ * document, redacted within the decoded value, and written back as JSON literals, so the result
+ * is always valid JSON with its original layout. A secret is also redacted wherever else its
+ * decoded value appears, however it is escaped there (e.g. `a/b` and `a\/b`).
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+
+// Secrets shorter than this are only redacted where they were found
+const MIN_REPEAT_LENGTH = 6;
+
+/**
+ * Lists the keys and scalar values of a JSON document with their positions
+ * @param {string} content - The JSON document
+ * @returns {Array<Object>} Tokens with kind ('key', 'string' or 'literal'), path (keys and indices),
+ *   start and end offsets in the content, the decoded value and, for keys and strings, the offset
+ *   in the content of each decoded character and of the closing quote
+ * @throws {SyntaxError} When the content is not valid JSON
+ */
+function scanJsonTokens(content) {
+  // Validate up front, so the walk below can assume well-formed input
+  JSON.parse(content);
+
+  const tokens = [];
+  let i = 0;
+
+  const skipWhitespace = () => {
+    while (WHITESPACE.has(content[i])) {
+      i++;
+    }
+  };
+
+  const readString = () => {
+    const start = i++;
+    let value = '';
+    const offsets = [];
+    while (content[i] !== '"') {
+      offsets.push(i);
+      if (content[i] === '\\') {
+        if (content[i + 1] === 'u') {
+          value += String.fromCharCode(parseInt(content.slice(i + 2, i + 6), 16));
+          i += 6;
+        } else {
+          value += ESCAPES[content[i + 1]];
+          i += 2;
+        }
+      } else {
+        value += content[i++];
+      }
+    }
+    offsets.push(i++);
+    return { start, end: i, value, offsets };
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    const char = content[i];
+
+    if (char === '{' || char === '[') {
+      const isObject = char === '{';
+      i++;
+      for (let index = 0; ; index++) {
+        skipWhitespace();
+        if (content[i] === '}' || content[i] === ']') {
+          i++;
+          return;
+        }
+        if (content[i] === ',') {
+          i++;
+          skipWhitespace();
+        }
+        let key = index;
+        if (isObject) {
+          const token = readString();
+          key = token.value;
+          tokens.push({ kind: 'key', path: [...path, key], ...token });
+          skipWhitespace();
+          i++; // the colon
+        }
+        readValue([...path, key]);
+      }
+    }
+
+    if (char === '"') {
+      tokens.push({ kind: 'string', path, ...readString() });
+      return;
+    }
+
+    // Numbers, true, false and null
+    const start = i;
+    while (i < content.length && !WHITESPACE.has(content[i]) && !',]}'.includes(content[i])) {
+      i++;
+    }
+    tokens.push({ kind: 'literal', path, start, end: i, value: content.slice(start, i) });
+  };
+
+  readValue([]);
+  return tokens;
+}
+
+/**
+ * Formats a path as JSONPath
+ * @param {Array<string|number>} path - Keys and array indices from the root
+ * @returns {string} The path, e.g. `$.servers[0].password` or `$['api key']`
+ */
+function formatJsonPath(path) {
+  return path.reduce((formatted, segment) => {
+    if (typeof segment === 'number') {
+      return `${formatted}[${segment}]`;
+    }
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(segment)
+      ? `${formatted}.${segment}`
+      : `${formatted}['${JSON.stringify(segment).slice(1, -1).replace(/'/g, "\\'")}']`;
+  }, '$');
+}
+
+/**
+ * Maps a range of the content onto a range of a token's decoded value
+ * @param {Object} token - A key or string token
+ * @param {number} start - Start offset in the content
+ * @param {number} end - End offset in the content (exclusive)
+ * @returns {Array<number>} The start and end (exclusive) in the decoded value
+ */
+function decodedRange(token, start, end) {
+  const { offsets } = token;
+  let from = 0;
+  while (from + 1 < offsets.length - 1 && offsets[from + 1] <= start) {
+    from++;
+  }
+  let to = offsets.length - 1;
+  while (to > from && offsets[to - 1] >= end) {
+    to--;
+  }
+  return [from, to];
+}
+
+/**
+ * Checks that a value found inside a string is not part of a longer word
+ * @param {string} value - The decoded string
+ * @param {number} start - Where the secret starts
+ * @param {number} end - Where it ends (exclusive)
+ * @returns {boolean} Whether it stands on its own
+ */
+function isStandalone(value, start, end) {
+  const isWordChar = char => char !== undefined && /[a-zA-Z0-9]/.test(char);
+  return !isWordChar(value[start - 1]) && !isWordChar(value[end]);
+}
+
+/**
+ * Redacts matches in a JSON document at the value level
+ * @param {string} content - The JSON document
+ * @param {Array<Object>} matches - Matches with start and end (exclusive) offsets, type and policy,
+ *   none nested inside another
+ * @param {Function} replacementFor - Called with a secret and its match, returns the replacement
+ * @param {Array<Object>} [repeated=[]] - Matches that are only redacted where they appear again,
+ *   such as those nested inside another match (by offsets) or sensitive values (by `match` value)
+ * @returns {Object} The redacted document, the redactions (with the JSON path of each) and the
+ *   JSONPath of every redacted value, in document order
+ * @throws {SyntaxError} When the content is not valid JSON
+ */
+function redactJsonContent(content, matches, replacementFor, repeated = []) {
+  const tokens = scanJsonTokens(content);
+
+  // The ranges to replace within each token's decoded value
+  const edits = new Map();
+  const addEdit = (token, from, to, secret, match) => {
+    const tokenEdits = edits.get(token) || [];
+    if (tokenEdits.some(edit => edit.from < to && from < edit.to)) {
+      return false;
+    }
+    tokenEdits.push({ from, to, secret, match });
+    edits.set(token, tokenEdits);
+    return true;
+  };
+
+  const redactions = [];
+  const secrets = new Map();
+  for (const match of matches) {
+    for (const token of tokens) {
+      if (token.end <= match.start || match.end <= token.start) {
+        continue;
+      }
+
+      // Literals such as numbers are replaced whole, keys and strings only where the match falls
+      const [from, to] = token.kind === 'literal'
+        ? [0, token.value.length]
+        : decodedRange(token, match.start, match.end);
+      const secret = token.value.slice(from, to);
+      if (!secret || !addEdit(token, from, to, secret, match)) {
+        continue;
+      }
+
+      redactions.push({
+        type: match.type,
+        start: match.start,
+        end: match.end,
+        original: secret,
+        policy: match.policy,
+        path: formatJsonPath(token.path)
+      });
+      if (token.kind !== 'literal' && secret.length >= MIN_REPEAT_LENGTH && !secrets.has(secret)) {
+        secrets.set(secret, match);
+      }
+    }
+  }
+
+  // Secrets inside a redacted match, such as the password of a connection URI, are decoded from
+  // the values they were found in, so they are found again however they are escaped elsewhere
+  for (const match of repeated) {
+    const found = Number.isFinite(match.start) && Number.isFinite(match.end)
+      ? tokens
+        .filter(token => token.kind !== 'literal' && token.start < match.end && match.start < token.end)
+        .map(token => token.value.slice(...decodedRange(token, match.start, match.end)))
+      : [match.match];
+    for (const secret of found) {
+      if (secret && secret.length >= MIN_REPEAT_LENGTH && !secrets.has(secret)) {
+        secrets.set(secret, match);
+      }
+    }
+  }
+
+  // The same secrets anywhere else in the document, whatever their escaping
+  for (const [secret, match] of secrets) {
+    for (const token of tokens) {
+      if (token.kind === 'literal') {
+        continue;
+      }
+      for (let from = token.value.indexOf(secret); from !== -1; from = token.value.indexOf(secret, from + 1)) {
+        const to = from + secret.length;
+        if (isStandalone(token.value, from, to)) {
+          addEdit(token, from, to, secret, match);
+        }
+      }
+    }
+  }
+
+  // Rewrite each edited token as a JSON literal, from the end so earlier offsets stay valid
+  let redacted = content;
+  const editedTokens = [...edits.keys()].sort((a, b) => b.start - a.start);
+  for (const token of editedTokens) {
+    const tokenEdits = edits.get(token).sort((a, b) => b.from - a.from);
+    let value = token.value;
+    for (const { from, to, secret, match } of tokenEdits) {
+      value = value.slice(0, from) + replacementFor(secret, match) + value.slice(to);
+    }
+    redacted = redacted.slice(0, token.start) + JSON.stringify(value) + redacted.slice(token.end);
+  }
+
+  const redactedPaths = [...new Set(editedTokens.reverse().map(token => formatJsonPath(token.path)))];
+  return { content: redacted, redactions, redacted_paths: redactedPaths };
+}
+
+module.exports = {
+  scanJsonTokens,
+  formatJsonPath,
+  redactJsonContent
+};
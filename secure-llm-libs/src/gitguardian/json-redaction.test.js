@@ -0,0 +1,102 @@
+const { scanJsonTokens, formatJsonPath, redactJsonContent } = require('./json-redaction');
+
+const SECRET = 'ghp_' + 'x7Kq2mP9vL4nR8tW1yZ3bC6dF0hJ5sA2eG7u';
+
+/**
+ * Builds a match over a substring of the content
+ * @param {string} content - The content
+ * @param {string} text - The matched text
+ * @param {number} [occurrence=0] - Which occurrence of the text
+ * @returns {Object} The match, with an exclusive end
+ */
+const matchOf = (content, text, occurrence = 0) => {
+  let start = -1;
+  for (let i = 0; i <= occurrence; i++) {
+    start = content.indexOf(text, start + 1);
+  }
+  return { type: 'GitHub Token', policy: 'Secrets detection', start, end: start + text.length };
+};
+
+const redact = () => 'REDACTED';
+
+describe('scanJsonTokens', () => {
+  test('should list keys and values with their paths and positions', () => {
+    const content = '{"a": [1, "x\\ny"], "b": {"c": null}}';
+
+    const tokens = scanJsonTokens(content).map(({ kind, path, start, end, value }) => ({ kind, path, start, end, value }));
+
+    expect(tokens).toEqual([
+      { kind: 'key', path: ['a'], start: 1, end: 4, value: 'a' },
+      { kind: 'literal', path: ['a', 0], start: 7, end: 8, value: '1' },
+      { kind: 'string', path: ['a', 1], start: 10, end: 16, value: 'x\ny' },
+      { kind: 'key', path: ['b'], start: 19, end: 22, value: 'b' },
+      { kind: 'key', path: ['b', 'c'], start: 25, end: 28, value: 'c' },
+      { kind: 'literal', path: ['b', 'c'], start: 30, end: 34, value: 'null' }
+    ]);
+  });
+
+  test('should reject invalid JSON', () => {
+    expect(() => scanJsonTokens('{"a": ')).toThrow(SyntaxError);
+  });
+});
+
+describe('formatJsonPath', () => {
+  test('should format keys and indices as JSONPath', () => {
+    expect(formatJsonPath([])).toBe('$');
+    expect(formatJsonPath(['servers', 0, 'password'])).toBe('$.servers[0].password');
+    expect(formatJsonPath(['api key', "it's"])).toBe("$['api key']['it\\'s']");
+  });
+});
+
+describe('redactJsonContent', () => {
+  test('should redact within the value and keep the layout', () => {
+    const content = JSON.stringify({ config: { auth: `token ${SECRET}`, name: 'demo' } }, null, 2);
+
+    const result = redactJsonContent(content, [matchOf(content, SECRET)], redact);
+
+    expect(JSON.parse(result.content)).toEqual({ config: { auth: 'token REDACTED', name: 'demo' } });
+    expect(result.content).toBe(content.replace(SECRET, 'REDACTED'));
+    expect(result.redacted_paths).toEqual(['$.config.auth']);
+    expect(result.redactions).toEqual([
+      { type: 'GitHub Token', policy: 'Secrets detection', start: content.indexOf(SECRET), end: content.indexOf(SECRET) + SECRET.length, original: SECRET, path: '$.config.auth' }
+    ]);
+  });
+
+  test('should keep the JSON valid when a match covers quotes', () => {
+    const content = `{"token": "${SECRET}", "next": 1}`;
+    const match = matchOf(content, `"${SECRET}", "next`);
+
+    const result = redactJsonContent(content, [match], redact);
+
+    expect(JSON.parse(result.content)).toEqual({ token: 'REDACTED', REDACTED: 1 });
+    expect(result.redacted_paths).toEqual(['$.token', '$.next']);
+  });
+
+  test('should map matches through escape sequences', () => {
+    const content = `{"log": "line\\nkey=${SECRET}\\u0021"}`;
+
+    const result = redactJsonContent(content, [matchOf(content, SECRET)], redact);
+
+    expect(JSON.parse(result.content).log).toBe('line\nkey=REDACTED!');
+  });
+
+  test('should redact the same secret under another escaping', () => {
+    const password = 'wJalr/K7MDENG/bPxRfiCY';
+    const content = `{"primary": "${password}", "copy": "${password.replace(/\//g, '\\/')}", "other": "${password}x"}`;
+
+    const result = redactJsonContent(content, [matchOf(content, password)], redact);
+
+    expect(JSON.parse(result.content)).toEqual({ primary: 'REDACTED', copy: 'REDACTED', other: `${password}x` });
+    expect(result.redacted_paths).toEqual(['$.primary', '$.copy']);
+    expect(result.redactions).toHaveLength(1);
+  });
+
+  test('should replace matched numbers with string values', () => {
+    const content = '{"pins": [12345678, 1]}';
+
+    const result = redactJsonContent(content, [matchOf(content, '12345678')], redact);
+
+    expect(JSON.parse(result.content)).toEqual({ pins: ['REDACTED', 1] });
+    expect(result.redacted_paths).toEqual(['$.pins[0]']);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Cache of scan results keyed by a SHA-256 hash of the scanned document, so that content seen
+ * before, such as the earlier messages of a chat, is not sent to GitGuardian again.
+ *
+ * Results are kept in a size-bounded in-process LRU, and optionally in a shared store so that
+ * they survive across Lambda instances. A store is any object with
+ * `get(key) => Promise<{result, expiresAt}|undefined>` and `set(key, result, expiresAt) => Promise`,
+ * such as a DynamoDB table with a TTL attribute.
+ *
+ * Matched values are removed before a result is cached and restored from the document on a hit,
+ * so neither the LRU nor the store ever holds a secret.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Returns the cache key of a document
+ * @param {string} document - The scanned document
+ * @param {string} [namespace=''] - Separates results of different scanners
+ * @returns {string} The hex SHA-256 hash
+ */
+function cacheKey(document, namespace = '') {
+  return crypto.createHash('sha256').update(`${namespace}\0${document}`).digest('hex');
+}
+
+/**
+ * Removes matched values from a scan result, keeping their positions
+ * @param {Object} result - A GitGuardian result for one document
+ * @returns {Object} The result without match values
+ */
+function stripMatches(result) {
+  return {
+    ...result,
+    policy_breaks: (result.policy_breaks || []).map(policyBreak => ({
+      ...policyBreak,
+      matches: (policyBreak.matches || []).map(({ match, ...rest }) => rest)
+    }))
+  };
+}
+
+/**
+ * Puts matched values back into a cached scan result, from their positions in the document
+ * @param {Object} result - A result from stripMatches
+ * @param {string} document - The document the result is for
+ * @returns {Object} The result with match values
+ */
+function restoreMatches(result, document) {
+  return {
+    ...result,
+    policy_breaks: result.policy_breaks.map(policyBreak => ({
+      ...policyBreak,
+      matches: policyBreak.matches.map(match => (match.index_start !== undefined && match.index_end !== undefined
+        ? { ...match, match: document.slice(match.index_start, match.index_end + 1) }
+        : match))
+    }))
+  };
+}
+
+/**
+ * Creates a scan result cache
+ * @param {Object} [options] - Cache settings
+ * @param {number} [options.maxEntries=1000] - The most results kept in process; the least recently used go first
+ * @param {number} [options.ttlMs=900000] - How long a result is reused
+ * @param {Object} [options.store] - An optional shared store, see above
+ * @param {Function} [options.onStoreError] - Called with errors from the store, which never fail a scan
+ * @param {Function} [options.now=Date.now] - Clock, for tests
+ * @returns {Object} Cache with get(document, namespace), set(document, result, namespace) and stats
+ */
+function createScanCache(options = {}) {
+  const {
+    maxEntries = 1000,
+    ttlMs = 15 * 60 * 1000,
+    store,
+    onStoreError = () => {},
+    now = Date.now
+  } = options;
+
+  // Map iteration order is insertion order, so re-inserting on access keeps the oldest first
+  const entries = new Map();
+  const stats = { hits: 0, shared_hits: 0, misses: 0 };
+
+  const remember = (key, result, expiresAt) => {
+    entries.delete(key);
+    entries.set(key, { result, expiresAt });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    /**
+     * Looks up the cached result for a document
+     * @param {string} document - The document
+     * @param {string} [namespace] - The scanner the result must come from
+     * @returns {Promise<Object|undefined>} The result, or undefined on a miss
+     */
+    async get(document, namespace) {
+      const key = cacheKey(document, namespace);
+
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > now()) {
+        remember(key, entry.result, entry.expiresAt);
+        stats.hits++;
+        return restoreMatches(entry.result, document);
+      }
+      entries.delete(key);
+
+      if (store) {
+        try {
+          const shared = await store.get(key);
+          if (shared && shared.expiresAt > now()) {
+            remember(key, shared.result, shared.expiresAt);
+            stats.hits++;
+            stats.shared_hits++;
+            return restoreMatches(shared.result, document);
+          }
+        } catch (error) {
+          onStoreError(error);
+        }
+      }
+
+      stats.misses++;
+      return undefined;
+    },
+
+    /**
+     * Caches the result for a document
+     * @param {string} document - The document
+     * @param {Object} result - Its GitGuardian result
+     * @param {string} [namespace] - The scanner the result came from
+     * @returns {Promise<void>}
+     */
+    async set(document, result, namespace) {
+      const key = cacheKey(document, namespace);
+      const stripped = stripMatches(result);
+      const expiresAt = now() + ttlMs;
+      remember(key, stripped, expiresAt);
+
+      if (store) {
+        try {
+          await store.set(key, stripped, expiresAt);
+        } catch (error) {
+          onStoreError(error);
+        }
+      }
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    // Running totals of hits (including shared_hits, served by the store) and misses
+    get stats() {
+      return { ...stats };
+    }
+  };
+}
+
+module.exports = { cacheKey, createScanCache };
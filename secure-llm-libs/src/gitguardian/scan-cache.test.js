@@ -0,0 +1,117 @@
+const { cacheKey, createScanCache } = require('./scan-cache');
+
+const DOCUMENT = 'password=hunter22 and more';
+const RESULT = {
+  policy_break_count: 1,
+  policy_breaks: [{
+    type: 'Generic Password',
+    policy: 'Secrets detection',
+    matches: [{ type: 'password', match: 'hunter22', index_start: 9, index_end: 16 }]
+  }]
+};
+
+/**
+ * Creates an in-memory store with the shared store interface
+ * @returns {Object} The store, with its items exposed
+ */
+const memoryStore = () => {
+  const items = new Map();
+  return {
+    items,
+    get: jest.fn(async key => items.get(key)),
+    set: jest.fn(async (key, result, expiresAt) => {
+      items.set(key, { result, expiresAt });
+    })
+  };
+};
+
+describe('createScanCache', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 0;
+  });
+
+  test('should return cached results for the same document', async () => {
+    const cache = createScanCache({ now });
+
+    expect(await cache.get(DOCUMENT)).toBeUndefined();
+    await cache.set(DOCUMENT, RESULT);
+
+    expect(await cache.get(DOCUMENT)).toEqual(RESULT);
+    expect(await cache.get(DOCUMENT + ' ')).toBeUndefined();
+    expect(cache.stats).toEqual({ hits: 1, shared_hits: 0, misses: 2 });
+  });
+
+  test('should keep results of different scanners apart', async () => {
+    const cache = createScanCache({ now });
+    await cache.set(DOCUMENT, RESULT, 'local');
+
+    expect(await cache.get(DOCUMENT, 'gitguardian')).toBeUndefined();
+    expect(await cache.get(DOCUMENT, 'local')).toEqual(RESULT);
+  });
+
+  test('should expire results after the TTL', async () => {
+    const cache = createScanCache({ ttlMs: 1000, now });
+    await cache.set(DOCUMENT, RESULT);
+
+    time = 999;
+    expect(await cache.get(DOCUMENT)).toEqual(RESULT);
+    time = 1000;
+    expect(await cache.get(DOCUMENT)).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+  test('should evict the least recently used result beyond maxEntries', async () => {
+    const cache = createScanCache({ maxEntries: 2, now });
+    await cache.set('a', RESULT);
+    await cache.set('b', RESULT);
+    await cache.get('a');
+    await cache.set('c', RESULT);
+
+    expect(cache.size).toBe(2);
+    expect(await cache.get('b')).toBeUndefined();
+    expect(await cache.get('a')).toBeDefined();
+  });
+
+  test('should not hold matched values, restoring them from the document', async () => {
+    const store = memoryStore();
+    const cache = createScanCache({ store, now });
+    await cache.set(DOCUMENT, RESULT);
+
+    expect(JSON.stringify([...store.items.values()])).not.toContain('hunter22');
+    expect((await cache.get(DOCUMENT)).policy_breaks[0].matches[0].match).toBe('hunter22');
+  });
+
+  test('should share results through the store across instances', async () => {
+    const store = memoryStore();
+    await createScanCache({ store, ttlMs: 1000, now }).set(DOCUMENT, RESULT);
+    const other = createScanCache({ store, now });
+
+    expect(await other.get(DOCUMENT)).toEqual(RESULT);
+    expect(await other.get(DOCUMENT)).toEqual(RESULT);
+    expect(store.get).toHaveBeenCalledTimes(1);
+    expect(other.stats).toEqual({ hits: 2, shared_hits: 1, misses: 0 });
+
+    time = 1000;
+    expect(await createScanCache({ store, now }).get(DOCUMENT)).toBeUndefined();
+  });
+
+  test('should treat store failures as misses', async () => {
+    const onStoreError = jest.fn();
+    const store = { get: jest.fn().mockRejectedValue(new Error('throttled')), set: jest.fn().mockRejectedValue(new Error('throttled')) };
+    const cache = createScanCache({ store, onStoreError, now });
+
+    await cache.set(DOCUMENT, RESULT);
+    expect(await cache.get('other')).toBeUndefined();
+    expect(onStoreError).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('cacheKey', () => {
+  test('should hash the namespace and document', () => {
+    expect(cacheKey(DOCUMENT)).toMatch(/^[0-9a-f]{64}$/);
+    expect(cacheKey(DOCUMENT, 'local')).not.toBe(cacheKey(DOCUMENT));
+  });
+});
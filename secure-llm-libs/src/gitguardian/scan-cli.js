@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/**
+ * secure-llm-scan – scans files, directories, globs or stdin with scan() before they reach the gateway
+ *
+ *   secure-llm-scan [paths, directories or globs…] [options]
+ *        → with no paths, or `-`, reads stdin
+ *
+ * Options:
+ *   --format text|json|sarif   report format (default: text)
+ *   --redact                   write redacted content instead of a report: to stdout for a single
+ *                              input, or to --out-dir for several
+ *   --out-dir <dir>            where --redact writes redacted copies, keeping relative paths
+ *   --backend <name>           gitguardian (default, needs GITGUARDIAN_API_KEY), local, fallback or prefilter
+ *   --allowlist <file>         JSON allowlist of known harmless secrets, see src/allowlist
+ *
+ * Exit codes: 0 when nothing is found, 1 on findings, 2 on usage or scan errors.
+ */
+
+const fs       = require('fs');
+const path     = require('path');
+const minimist = require('minimist');
+const { scan } = require('./gitguardian-wrapper');
+const { createBackend, BACKENDS } = require('../scanners');
+const { createAllowlist } = require('../allowlist');
+
+const FORMATS   = ['text', 'json', 'sarif'];
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+const STDIN     = '-';
+
+const EXIT_CLEAN    = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR    = 2;
+
+const USAGE = `Usage:
+  secure-llm-scan [paths, directories or globs…] [--format text|json|sarif]
+                  [--redact [--out-dir <dir>]] [--backend ${BACKENDS.join('|')}] [--allowlist <file>]
+
+  Reads stdin when no paths (or -) are given. Exits 1 when secrets are found.
+`;
+
+/* ---------- inputs ---------- */
+
+/**
+ * Converts a glob to a regular expression over /-separated relative paths
+ * @param {string} glob - The glob, with *, ** and ?
+ * @returns {RegExp} The expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` matches any number of directories, including none
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists the files under a directory, skipping .git and node_modules
+ * @param {string} dir - The directory
+ * @returns {Array<string>} File paths, sorted
+ */
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        return SKIP_DIRS.has(entry.name) ? [] : walk(entryPath);
+      }
+      return entry.isFile() ? [entryPath] : [];
+    });
+}
+
+/**
+ * Expands paths, directories and globs to the files to scan
+ * @param {Array<string>} patterns - The command line arguments
+ * @param {string} [cwd=process.cwd()] - Where relative globs start
+ * @returns {Array<string>} Unique file paths, with `-` for stdin
+ * @throws {Error} When a path does not exist or a glob matches nothing
+ */
+function collectInputs(patterns, cwd = process.cwd()) {
+  if (patterns.length === 0) {
+    return [STDIN];
+  }
+
+  const files = patterns.flatMap(pattern => {
+    if (pattern === STDIN) {
+      return [STDIN];
+    }
+    if (!/[*?]/.test(pattern)) {
+      const resolved = path.resolve(cwd, pattern);
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`No such file or directory: ${pattern}`);
+      }
+      return fs.statSync(resolved).isDirectory()
+        ? walk(resolved).map(file => path.relative(cwd, file))
+        : [pattern];
+    }
+
+    // Walk from the last directory before the first wildcard
+    const segments = pattern.split('/');
+    const firstWild = segments.findIndex(segment => /[*?]/.test(segment));
+    const base = segments.slice(0, firstWild).join('/') || '.';
+    const regex = globToRegExp(segments.slice(firstWild).join('/'));
+    const root = path.resolve(cwd, base);
+    const matches = fs.existsSync(root)
+      ? walk(root).filter(file => regex.test(path.relative(root, file).split(path.sep).join('/')))
+      : [];
+    if (matches.length === 0) {
+      throw new Error(`No files match ${pattern}`);
+    }
+    return matches.map(file => path.relative(cwd, file));
+  });
+
+  return [...new Set(files)];
+}
+
+/**
+ * Reads a stream to the end
+ * @param {Object} stream - A readable stream
+ * @returns {Promise<string>} Its content
+ */
+async function readStream(stream) {
+  const parts = [];
+  for await (const part of stream) {
+    parts.push(Buffer.from(part));
+  }
+  return Buffer.concat(parts).toString('utf8');
+}
+
+/**
+ * Checks for binary content, which is not scanned
+ * @param {string} content - The file content
+ * @returns {boolean} Whether it looks binary
+ */
+function isBinary(content) {
+  return content.slice(0, 8000).includes('\u0000');
+}
+
+/**
+ * Returns where --redact writes the redacted copy of an input: its path relative to cwd, under the
+ * output directory
+ * @param {string} outDir - The resolved output directory
+ * @param {string} input - The input path
+ * @param {string} cwd - Base for relative paths
+ * @returns {string} The output file
+ * @throws {Error} When that is outside the output directory, as for inputs outside cwd
+ */
+function outputPath(outDir, input, cwd) {
+  const outFile = path.resolve(outDir, path.relative(cwd, path.resolve(cwd, input)));
+  const relative = path.relative(outDir, outFile);
+  if (!relative || relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+    throw new Error(`Cannot write ${input} under --out-dir: it is outside the current directory`);
+  }
+  return outFile;
+}
+
+/* ---------- reports ---------- */
+
+/**
+ * Converts an offset in content to a 1-based line and column
+ * @param {string} content - The content
+ * @param {number} offset - The offset
+ * @returns {Object} The line and column
+ */
+function lineAndColumn(content, offset) {
+  const before = content.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Describes the redactions of one scanned input as findings, without the secrets
+ * @param {string} content - The scanned content
+ * @param {Array<Object>} redactions - The redactions from scan()
+ * @returns {Array<Object>} Findings with type, policy, line, column, end line, end column and, for JSON
+ *   files, the JSON path
+ */
+function toFindings(content, redactions) {
+  return redactions
+    .map(({ type, policy, start, end, path: jsonPath }) => {
+      const from = lineAndColumn(content, start);
+      const to = lineAndColumn(content, end);
+      return {
+        type,
+        policy,
+        line: from.line,
+        column: from.column,
+        end_line: to.line,
+        end_column: to.column,
+        ...(jsonPath && { json_path: jsonPath })
+      };
+    })
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Formats the scanned files as a report
+ * @param {Array<Object>} files - Per input: path, findings, suppressed count and error
+ * @param {string} format - text, json or sarif
+ * @returns {string} The report
+ */
+function formatReport(files, format) {
+  const findingCount = files.reduce((sum, file) => sum + file.findings.length, 0);
+
+  if (format === 'json') {
+    return JSON.stringify({
+      files,
+      summary: {
+        files: files.length,
+        findings: findingCount,
+        suppressed: files.reduce((sum, file) => sum + file.suppressed, 0),
+        errors: files.filter(file => file.error).length
+      }
+    }, null, 2);
+  }
+
+  if (format === 'sarif') {
+    const types = [...new Set(files.flatMap(file => file.findings.map(finding => finding.type)))];
+    return JSON.stringify({
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'secure-llm-scan',
+            rules: types.map(type => ({ id: type, name: type, shortDescription: { text: `${type} detected` } }))
+          }
+        },
+        results: files.flatMap(file => file.findings.map(finding => ({
+          ruleId: finding.type,
+          level: 'error',
+          message: { text: `${finding.type} detected (${finding.policy})` },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: file.path.split(path.sep).join('/') },
+              region: {
+                startLine: finding.line,
+                startColumn: finding.column,
+                endLine: finding.end_line,
+                endColumn: finding.end_column
+              }
+            }
+          }]
+        }))),
+        invocations: [{
+          executionSuccessful: files.every(file => !file.error),
+          toolExecutionNotifications: files.filter(file => file.error).map(file => ({
+            level: 'error',
+            message: { text: `${file.path}: ${file.error}` }
+          }))
+        }]
+      }]
+    }, null, 2);
+  }
+
+  const lines = files.flatMap(file => [
+    ...file.findings.map(finding => `${file.path}:${finding.line}:${finding.column}: ${finding.type} (${finding.policy})`),
+    ...(file.error ? [`${file.path}: scan failed: ${file.error}`] : [])
+  ]);
+  const fileCount = files.filter(file => file.findings.length > 0).length;
+  lines.push(findingCount === 0
+    ? `No secrets found in ${files.length} file(s)`
+    : `${findingCount} secret(s) found in ${fileCount} of ${files.length} file(s)`);
+  return lines.join('\n');
+}
+
+/* ---------- main ---------- */
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} args - Command line arguments, without node and the script
+ * @param {Object} [io] - Process streams and settings, for tests
+ * @param {Object} [io.stdin=process.stdin] - Read when no paths are given
+ * @param {Function} [io.stdout] - Writes report or redacted output
+ * @param {Function} [io.stderr] - Writes errors
+ * @param {Object} [io.env=process.env] - Environment, for GITGUARDIAN_API_KEY
+ * @param {string} [io.cwd=process.cwd()] - Base for relative paths
+ * @returns {Promise<number>} The exit code
+ */
+async function run(args, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = text => process.stdout.write(text),
+    stderr = text => process.stderr.write(text),
+    env = process.env,
+    cwd = process.cwd()
+  } = io;
+
+  const argv = minimist(args, {
+    string : ['format', 'out-dir', 'backend', 'allowlist'],
+    boolean: ['redact', 'help'],
+    alias  : { f: 'format', o: 'out-dir', h: 'help' },
+    default: { format: 'text', backend: 'gitguardian' },
+  });
+
+  if (argv.help) {
+    stdout(USAGE);
+    return EXIT_CLEAN;
+  }
+  if (!FORMATS.includes(argv.format) || !BACKENDS.includes(argv.backend)) {
+    stderr(USAGE);
+    return EXIT_ERROR;
+  }
+
+  let inputs;
+  let outFiles;
+  let backend;
+  let allowlist;
+  try {
+    inputs = collectInputs(argv._.map(String), cwd);
+    outFiles = new Map(argv.redact && argv['out-dir']
+      ? inputs
+        .filter(input => input !== STDIN)
+        .map(input => [input, outputPath(path.resolve(cwd, argv['out-dir']), input, cwd)])
+      : []);
+    backend = createBackend(argv.backend);
+    allowlist = argv.allowlist
+      ? createAllowlist(JSON.parse(fs.readFileSync(path.resolve(cwd, argv.allowlist), 'utf8')))
+      : undefined;
+  } catch (error) {
+    stderr(`${error.message}\n`);
+    return EXIT_ERROR;
+  }
+
+  if (inputs.includes(STDIN) && stdin.isTTY) {
+    stderr(USAGE);
+    return EXIT_ERROR;
+  }
+
+  const apiKey = env.GITGUARDIAN_API_KEY;
+  if (backend.requiresApiKey && !apiKey) {
+    stderr(`GITGUARDIAN_API_KEY is required for the ${backend.name} backend; use --backend local to scan offline\n`);
+    return EXIT_ERROR;
+  }
+  if (argv.redact && inputs.length > 1 && !argv['out-dir']) {
+    stderr('--redact with several inputs needs --out-dir\n');
+    return EXIT_ERROR;
+  }
+
+  const files = [];
+  for (const input of inputs) {
+    const content = input === STDIN
+      ? await readStream(stdin)
+      : fs.readFileSync(path.resolve(cwd, input), 'utf8');
+    if (isBinary(content)) {
+      continue;
+    }
+
+    const isJson = path.extname(input).toLowerCase() === '.json';
+    const result = await scan(content, apiKey, {
+      filename: input === STDIN ? 'stdin.txt' : path.basename(input),
+      format: isJson ? 'json' : 'text',
+      backend,
+      allowlist
+    });
+
+    files.push({
+      path: input === STDIN ? 'stdin' : input,
+      findings: toFindings(content, result.redactions),
+      suppressed: (result.suppressed || []).reduce((sum, { matches }) => sum + matches, 0),
+      ...(result.error && { error: result.error })
+    });
+
+    if (argv.redact && !result.error) {
+      if (outFiles.has(input)) {
+        const outFile = outFiles.get(input);
+        fs.mkdirSync(path.dirname(outFile), { recursive: true });
+        fs.writeFileSync(outFile, result.content);
+      } else {
+        stdout(result.content);
+      }
+    }
+  }
+
+  if (!argv.redact) {
+    stdout(`${formatReport(files, argv.format)}\n`);
+  } else {
+    files.filter(file => file.error).forEach(file => stderr(`${file.path}: scan failed: ${file.error}\n`));
+  }
+
+  if (files.some(file => file.error)) {
+    return EXIT_ERROR;
+  }
+  return files.some(file => file.findings.length > 0) ? EXIT_FINDINGS : EXIT_CLEAN;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      // Exit 1 means findings, so errors reading or writing files must not exit as a crash would
+      console.error(`secure-llm-scan: ${error.message}`);
+      process.exitCode = EXIT_ERROR;
+    });
+}
+
+module.exports = {
+  globToRegExp,
+  collectInputs,
+  formatReport,
+  run
+};
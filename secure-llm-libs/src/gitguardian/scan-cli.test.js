@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { spawnSync } = require('child_process');
+const { globToRegExp, collectInputs, run } = require('./scan-cli');
+
+const SECRET = 'AKIA' + 'Q3EGRJ7TZ4WB5NXY';
+
+/**
+ * Runs the CLI with captured output
+ * @param {Array<string>} args - Command line arguments
+ * @param {Object} [io] - Overrides for stdin, env and cwd
+ * @returns {Promise<Object>} The exit code, stdout and stderr
+ */
+const runCli = async (args, io = {}) => {
+  let stdout = '';
+  let stderr = '';
+  const code = await run(args, {
+    stdin: Readable.from([]),
+    env: {},
+    stdout: text => { stdout += text; },
+    stderr: text => { stderr += text; },
+    ...io
+  });
+  return { code, stdout, stderr };
+};
+
+describe('secure-llm-scan', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secure-llm-scan-'));
+    fs.mkdirSync(path.join(dir, 'prompts', 'nested'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'node_modules'));
+    fs.writeFileSync(path.join(dir, 'prompts', 'clean.txt'), 'Summarise the following text.\n');
+    fs.writeFileSync(path.join(dir, 'prompts', 'nested', 'leaky.txt'), `Deploy with\nkey ${SECRET}\n`);
+    fs.writeFileSync(path.join(dir, 'prompts', 'data.json'), JSON.stringify({ aws: { key: SECRET } }));
+    fs.writeFileSync(path.join(dir, 'node_modules', 'ignored.txt'), SECRET);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should expand directories and globs, skipping node_modules', () => {
+    expect(collectInputs(['prompts'], dir)).toEqual([
+      path.join('prompts', 'clean.txt'),
+      path.join('prompts', 'data.json'),
+      path.join('prompts', 'nested', 'leaky.txt')
+    ]);
+    expect(collectInputs(['prompts/**/*.txt'], dir)).toEqual([
+      path.join('prompts', 'clean.txt'),
+      path.join('prompts', 'nested', 'leaky.txt')
+    ]);
+    expect(collectInputs([], dir)).toEqual(['-']);
+    expect(() => collectInputs(['missing/*.txt'], dir)).toThrow('No files match missing/*.txt');
+  });
+
+  test('should match globs over path segments', () => {
+    expect(globToRegExp('*.txt').test('a.txt')).toBe(true);
+    expect(globToRegExp('*.txt').test('nested/a.txt')).toBe(false);
+    expect(globToRegExp('**/a?.txt').test('x/y/ab.txt')).toBe(true);
+  });
+
+  test('should report findings as text and exit 1', async () => {
+    const { code, stdout } = await runCli(['prompts', '--backend', 'local'], { cwd: dir });
+
+    expect(code).toBe(1);
+    expect(stdout).toContain(`${path.join('prompts', 'nested', 'leaky.txt')}:2:5: AWS Keys (Secrets detection)`);
+    expect(stdout).toContain('2 secret(s) found in 2 of 3 file(s)');
+    expect(stdout).not.toContain(SECRET);
+  });
+
+  test('should exit 0 when nothing is found', async () => {
+    const { code, stdout } = await runCli(['prompts/clean.txt', '--backend', 'local'], { cwd: dir });
+
+    expect(code).toBe(0);
+    expect(stdout).toBe('No secrets found in 1 file(s)\n');
+  });
+
+  test('should write a JSON report with JSON paths and allowlist suppressions', async () => {
+    fs.writeFileSync(path.join(dir, 'allowlist.json'), JSON.stringify({ values: [SECRET] }));
+    fs.writeFileSync(path.join(dir, 'more.json'), JSON.stringify({ token: 'ghp_' + 'x7Kq2mP9vL4nR8tW1yZ3bC6dF0hJ5sA2eG7u' }));
+
+    const { code, stdout } = await runCli(
+      ['prompts/data.json', 'more.json', '--backend', 'local', '--format', 'json', '--allowlist', 'allowlist.json'],
+      { cwd: dir }
+    );
+
+    const report = JSON.parse(stdout);
+    expect(code).toBe(1);
+    expect(report.summary).toEqual({ files: 2, findings: 1, suppressed: 1, errors: 0 });
+    expect(report.files[1].findings[0]).toMatchObject({ type: 'GitHub Access Token', line: 1, json_path: '$.token' });
+  });
+
+  test('should write a SARIF report', async () => {
+    const { stdout } = await runCli(['prompts/nested/leaky.txt', '--backend', 'local', '--format', 'sarif'], { cwd: dir });
+
+    const sarif = JSON.parse(stdout);
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual(['AWS Keys']);
+    expect(sarif.runs[0].results[0]).toMatchObject({
+      ruleId: 'AWS Keys',
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'prompts/nested/leaky.txt' },
+          region: { startLine: 2, startColumn: 5, endLine: 2, endColumn: 25 }
+        }
+      }]
+    });
+  });
+
+  test('should redact stdin to stdout', async () => {
+    const { code, stdout } = await runCli(['--backend', 'local', '--redact'], {
+      stdin: Readable.from([`export AWS_ACCESS_KEY_ID=${SECRET}\n`])
+    });
+
+    expect(code).toBe(1);
+    expect(stdout).toBe('export AWS_ACCESS_KEY_ID=REDACTED\n');
+  });
+
+  test('should write redacted copies of several files to --out-dir', async () => {
+    const { code } = await runCli(['prompts', '--backend', 'local', '--redact', '--out-dir', 'redacted'], { cwd: dir });
+
+    expect(code).toBe(1);
+    expect(fs.readFileSync(path.join(dir, 'redacted', 'prompts', 'nested', 'leaky.txt'), 'utf8')).toBe('Deploy with\nkey REDACTED\n');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'redacted', 'prompts', 'data.json'), 'utf8'))).toEqual({ aws: { key: 'REDACTED' } });
+  });
+
+  test('should refuse to write redacted copies outside --out-dir', async () => {
+    fs.mkdirSync(path.join(dir, 'work'));
+    fs.writeFileSync(path.join(dir, 'outside.txt'), `key ${SECRET}\n`);
+
+    const { code, stderr } = await runCli(['../outside.txt', '../prompts', '--backend', 'local', '--redact', '--out-dir', 'redacted'], { cwd: path.join(dir, 'work') });
+
+    expect(code).toBe(2);
+    expect(stderr).toContain('Cannot write ../outside.txt under --out-dir: it is outside the current directory');
+    expect(fs.readFileSync(path.join(dir, 'outside.txt'), 'utf8')).toBe(`key ${SECRET}\n`);
+    expect(fs.existsSync(path.join(dir, 'work', 'redacted'))).toBe(false);
+  });
+
+  test('should exit 2 when a file cannot be written', () => {
+    fs.writeFileSync(path.join(dir, 'redacted'), '');
+
+    const { status, stderr } = spawnSync(process.execPath, [
+      path.join(__dirname, 'scan-cli.js'), 'prompts', '--backend', 'local', '--redact', '--out-dir', 'redacted'
+    ], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+
+    expect(status).toBe(2);
+    expect(stderr).toContain('secure-llm-scan: ');
+  });
+
+  test('should exit 2 on usage errors', async () => {
+    expect((await runCli(['--format', 'xml'])).code).toBe(2);
+    expect((await runCli(['missing.txt'], { cwd: dir })).stderr).toContain('No such file or directory: missing.txt');
+
+    const { code, stderr } = await runCli(['prompts'], { cwd: dir });
+    expect(code).toBe(2);
+    expect(stderr).toContain('GITGUARDIAN_API_KEY is required');
+  });
+});
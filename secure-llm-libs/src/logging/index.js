@@ -0,0 +1,163 @@
+/**
+ * Structured JSON logging that never writes secrets.
+ *
+ * Every entry is one JSON line with a level, a message, the logger's context and the correlation
+ * ID of the request being handled (see withContext). Before writing, fields are sanitized:
+ *
+ * - values under sensitive keys such as `original`, `match`, `password` or `authorization` are masked
+ * - strings are masked wherever the local secret detector or a bearer token pattern matches
+ * - errors are reduced to their name, message and stack, sanitized the same way
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLocalDetector } = require('../scanners/local-detector');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MASK = '[MASKED]';
+const MAX_DEPTH = 8;
+
+// Keys whose values are secrets or may hold them, compared case-insensitively
+const SENSITIVE_KEYS = new Set([
+  'original', 'match', 'document', 'password', 'secret', 'token', 'apikey', 'api_key', 'x-api-key',
+  'authorization', 'cookie', 'set-cookie', 'body'
+]);
+
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi;
+
+const detector = createLocalDetector();
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Masks the secrets found in a string
+ * @param {string} text - The text
+ * @returns {string} The text with each detected secret replaced by `[MASKED:<type>]`
+ */
+function maskString(text) {
+  let masked = text;
+  const spans = detector.detect(text)
+    .map(policyBreak => ({ ...policyBreak.matches[0], type: policyBreak.type }))
+    .sort((a, b) => b.index_start - a.index_start);
+  let limit = Infinity;
+  for (const span of spans) {
+    // Spans are applied from the end; skip any that overlap one already masked
+    if (span.index_end >= limit) {
+      continue;
+    }
+    masked = masked.slice(0, span.index_start) + `[MASKED:${span.type}]` + masked.slice(span.index_end + 1);
+    limit = span.index_start;
+  }
+  return masked.replace(BEARER_PATTERN, (match, scheme) => `${scheme} ${MASK}`);
+}
+
+/**
+ * Returns a copy of a value that is safe to log
+ * @param {*} value - The value
+ * @param {number} [depth=0] - The nesting depth, to cut off deep or circular structures
+ * @returns {*} The sanitized value
+ */
+function sanitize(value, depth = 0) {
+  if (typeof value === 'string') {
+    return maskString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: maskString(value.message),
+      ...(value.code && { code: value.code }),
+      ...(value.stack && { stack: maskString(value.stack) })
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEYS.has(key.toLowerCase()) && item != null ? MASK : sanitize(item, depth + 1)
+  ]));
+}
+
+/**
+ * Runs a function with fields, such as a correlation ID, added to every entry logged while it runs,
+ * including from asynchronous work it starts
+ * @param {Object} fields - The fields
+ * @param {Function} fn - The function
+ * @returns {*} The function's return value
+ */
+function withContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Writes a log line to the console method for its level
+ * @param {string} level - The level
+ * @param {string} line - The JSON line
+ * @returns {void}
+ */
+function writeToConsole(level, line) {
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Creates a logger
+ * @param {Object} [options] - Logger settings
+ * @param {string} [options.level] - The lowest level written: debug, info, warn or error
+ *   (default: LOG_LEVEL, else info)
+ * @param {Object} [options.context] - Fields added to every entry, such as the service name
+ * @param {Function} [options.write] - Receives the level and JSON line of each entry; writes to the console by default
+ * @returns {Object} Logger with debug, info, warn and error(message, fields), child(context) and isLevelEnabled(level)
+ */
+function createLogger(options = {}) {
+  const {
+    level = process.env.LOG_LEVEL || 'info',
+    context = {},
+    write = writeToConsole
+  } = options;
+
+  if (!(level in LEVELS)) {
+    throw new Error(`Log level must be one of ${Object.keys(LEVELS).join(', ')}, got "${level}"`);
+  }
+
+  const isLevelEnabled = (entryLevel) => LEVELS[entryLevel] >= LEVELS[level];
+
+  const log = (entryLevel, message, fields = {}) => {
+    if (!isLevelEnabled(entryLevel)) {
+      return;
+    }
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level: entryLevel,
+      message: maskString(String(message)),
+      ...sanitize({ ...context, ...contextStorage.getStore(), ...fields })
+    };
+    write(entryLevel, JSON.stringify(entry));
+  };
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    isLevelEnabled,
+
+    /**
+     * Creates a logger that adds fields to every entry
+     * @param {Object} fields - The fields
+     * @returns {Object} The child logger
+     */
+    child: (fields) => createLogger({ level, write, context: { ...context, ...fields } })
+  };
+}
+
+module.exports = { LEVELS, MASK, sanitize, maskString, withContext, createLogger };
@@ -0,0 +1,123 @@
+const { sanitize, maskString, withContext, createLogger } = require('./index');
+
+// Fake credentials, assembled at runtime so that secret scanners do not flag this file
+const AWS_KEY = 'AKIA' + 'Q3EGRJ7TZ4WB5NXY';
+const GITHUB_TOKEN = 'ghp_' + 'aB3dE5fG7hJ9kL2mN4pQ6rS8tU1vW3xY5z7A';
+
+describe('logging', () => {
+  let lines;
+  const write = (level, line) => lines.push({ level, ...JSON.parse(line) });
+
+  beforeEach(() => {
+    lines = [];
+  });
+
+  describe('maskString', () => {
+    test('should mask detected secrets and bearer tokens', () => {
+      expect(maskString(`key ${AWS_KEY} and ${GITHUB_TOKEN}`))
+        .toBe('key [MASKED:AWS Keys] and [MASKED:GitHub Access Token]');
+      expect(maskString('Authorization: Bearer abc.def.ghi-123')).toBe('Authorization: Bearer [MASKED]');
+    });
+
+    test('should leave ordinary text alone', () => {
+      expect(maskString('GitGuardian API error 503: down')).toBe('GitGuardian API error 503: down');
+    });
+  });
+
+  describe('sanitize', () => {
+    test('should mask values under sensitive keys', () => {
+      const redactions = [{ type: 'AWS Keys', start: 4, end: 24, original: 'hunter2', policy: 'Secrets detection' }];
+
+      expect(sanitize({ redactions, headers: { Authorization: 'x' } })).toEqual({
+        redactions: [{ type: 'AWS Keys', start: 4, end: 24, original: '[MASKED]', policy: 'Secrets detection' }],
+        headers: { Authorization: '[MASKED]' }
+      });
+    });
+
+    test('should reduce errors to a sanitized name, message and stack', () => {
+      const error = new Error(`GitGuardian rejected ${AWS_KEY}`);
+
+      const sanitized = sanitize({ error }).error;
+
+      expect(sanitized.name).toBe('Error');
+      expect(sanitized.message).toBe('GitGuardian rejected [MASKED:AWS Keys]');
+      expect(sanitized.stack).not.toContain(AWS_KEY);
+    });
+
+    test('should cut off circular structures', () => {
+      const value = { name: 'loop' };
+      value.self = value;
+
+      expect(JSON.stringify(sanitize(value))).toContain('[Truncated]');
+    });
+  });
+
+  describe('createLogger', () => {
+    test('should write one JSON line per entry with the context', () => {
+      const logger = createLogger({ level: 'info', context: { service: 'test' }, write });
+
+      logger.info('hello', { count: 2 });
+
+      expect(lines).toEqual([expect.objectContaining({ level: 'info', message: 'hello', service: 'test', count: 2 })]);
+      expect(Date.parse(lines[0].timestamp)).not.toBeNaN();
+    });
+
+    test('should skip entries below the level', () => {
+      const logger = createLogger({ level: 'warn', write });
+
+      logger.debug('a');
+      logger.info('b');
+      logger.warn('c');
+      logger.error('d');
+
+      expect(lines.map(line => line.level)).toEqual(['warn', 'error']);
+      expect(logger.isLevelEnabled('debug')).toBe(false);
+    });
+
+    test('should reject unknown levels', () => {
+      expect(() => createLogger({ level: 'verbose' })).toThrow('Log level must be one of');
+    });
+
+    test('should never write secrets in messages or fields', () => {
+      const logger = createLogger({ write });
+
+      logger.warn(`scan failed for ${GITHUB_TOKEN}`, { match: AWS_KEY, note: `saw ${AWS_KEY}` });
+
+      expect(JSON.stringify(lines)).not.toMatch(new RegExp(`${AWS_KEY}|${GITHUB_TOKEN}`));
+    });
+
+    test('should add fields to child loggers', () => {
+      const logger = createLogger({ context: { service: 'test' }, write }).child({ component: 'scan' });
+
+      logger.info('hello');
+
+      expect(lines[0]).toMatchObject({ service: 'test', component: 'scan' });
+    });
+
+    test('should add the correlation ID of the current context, across async work', async () => {
+      const logger = createLogger({ write });
+
+      await withContext({ correlation_id: 'req-1' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        logger.info('inside');
+      });
+      logger.info('outside');
+
+      expect(lines[0].correlation_id).toBe('req-1');
+      expect(lines[1].correlation_id).toBeUndefined();
+    });
+
+    test('should write errors and warnings to the matching console methods', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      createLogger().error('boom');
+      createLogger().warn('careful');
+
+      expect(JSON.parse(errorSpy.mock.calls[0][0]).message).toBe('boom');
+      expect(JSON.parse(warnSpy.mock.calls[0][0]).message).toBe('careful');
+      errorSpy.mockRestore();
+      warnSpy.mockRestore();
+    });
+  });
+});
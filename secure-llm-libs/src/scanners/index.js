@@ -0,0 +1,144 @@
+/**
+ * Scanner backends for scan().
+ *
+ * A backend is an object with a `name`, `requiresApiKey`, and
+ * `scan(documents, options) => Promise<Array>` returning one GitGuardian multiscan-style result
+ * (with `policy_breaks`) per `{filename, document}`. `options` carries the API key and the request
+ * settings passed to scan(), such as timeoutMs and retries, and may carry an `onFallback` callback
+ * that a fallback backend calls when it answers in place of its primary backend.
+ */
+
+const { gitguardianMultiscan, isRetryable } = require('../gitguardian/gitguardian-wrapper');
+const { DEFAULT_RULES, shannonEntropy, createLocalDetector } = require('./local-detector');
+
+const BACKENDS = ['gitguardian', 'local', 'fallback', 'prefilter'];
+
+/**
+ * Creates the GitGuardian multiscan backend
+ * @returns {Object} The backend
+ */
+function createGitGuardianBackend() {
+  return {
+    name: 'gitguardian',
+    requiresApiKey: true,
+    scan: (documents, { apiKey, ...options } = {}) => gitguardianMultiscan(documents, apiKey, undefined, options)
+  };
+}
+
+/**
+ * Creates the offline regex and entropy backend
+ * @param {Object} [options] - Local detector settings, see createLocalDetector
+ * @returns {Object} The backend
+ */
+function createLocalBackend(options) {
+  const detector = createLocalDetector(options);
+  return {
+    name: 'local',
+    requiresApiKey: false,
+    scan: (documents) => detector.scan(documents)
+  };
+}
+
+/**
+ * Creates a backend that uses `fallback` when `primary` is unavailable: timeouts, network errors,
+ * 429 and 5xx responses, or an open circuit breaker (see isRetryable). Other errors, such as a
+ * missing or rejected API key or a bug, are not hidden.
+ * @param {Object} primary - The preferred backend
+ * @param {Object} fallback - The backend used when the primary one is unavailable
+ * @param {Object} [options] - Fallback settings
+ * @param {Function} [options.onFallback] - Called with the primary backend's error when falling back
+ * @returns {Object} The backend, which also calls the onFallback scan option of each scan that falls back
+ */
+function createFallbackBackend(primary, fallback, options = {}) {
+  return {
+    name: `${primary.name}+${fallback.name}`,
+    requiresApiKey: primary.requiresApiKey,
+    async scan(documents, scanOptions = {}) {
+      try {
+        return await primary.scan(documents, scanOptions);
+      } catch (error) {
+        if (!isRetryable(error)) {
+          throw error;
+        }
+        if (options.onFallback) {
+          options.onFallback(error);
+        }
+        if (scanOptions.onFallback) {
+          scanOptions.onFallback(error);
+        }
+        return fallback.scan(documents, scanOptions);
+      }
+    }
+  };
+}
+
+/**
+ * Creates a backend that runs a fast `prefilter` before `primary` and merges their findings,
+ * so that secrets the prefilter knows about are caught even when the primary backend misses them.
+ * Findings reported by both, at the same position, are kept once.
+ * @param {Object} prefilter - The backend run first, typically the local one
+ * @param {Object} primary - The backend run next
+ * @returns {Object} The backend
+ */
+function createPrefilterBackend(prefilter, primary) {
+  return {
+    name: `${prefilter.name}>${primary.name}`,
+    requiresApiKey: primary.requiresApiKey || prefilter.requiresApiKey,
+    async scan(documents, scanOptions) {
+      const prefiltered = await prefilter.scan(documents, scanOptions);
+      const results = await primary.scan(documents, scanOptions);
+
+      return results.map((result, i) => {
+        const primaryBreaks = result.policy_breaks || [];
+        const positions = new Set(primaryBreaks.flatMap(policyBreak =>
+          (policyBreak.matches || []).map(match => `${match.index_start}-${match.index_end}`)));
+        const extra = ((prefiltered[i] && prefiltered[i].policy_breaks) || []).filter(policyBreak =>
+          !policyBreak.matches.some(match => positions.has(`${match.index_start}-${match.index_end}`)));
+        if (extra.length === 0) {
+          return result;
+        }
+        return {
+          ...result,
+          policy_break_count: primaryBreaks.length + extra.length,
+          policy_breaks: [...primaryBreaks, ...extra]
+        };
+      });
+    }
+  };
+}
+
+/**
+ * Creates a backend by name
+ * @param {string} [name='gitguardian'] - `gitguardian`, `local`, `fallback` (GitGuardian, falling back
+ *   to local when it is unavailable) or `prefilter` (local findings merged with GitGuardian's)
+ * @param {Object} [options] - Settings
+ * @param {Object} [options.local] - Local detector settings, see createLocalDetector
+ * @param {Function} [options.onFallback] - Called with the GitGuardian error when falling back
+ * @returns {Object} The backend
+ */
+function createBackend(name = 'gitguardian', options = {}) {
+  switch (name) {
+    case 'gitguardian':
+      return createGitGuardianBackend();
+    case 'local':
+      return createLocalBackend(options.local);
+    case 'fallback':
+      return createFallbackBackend(createGitGuardianBackend(), createLocalBackend(options.local), options);
+    case 'prefilter':
+      return createPrefilterBackend(createLocalBackend(options.local), createGitGuardianBackend());
+    default:
+      throw new Error(`Unknown scanner backend "${name}"; expected one of ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  DEFAULT_RULES,
+  shannonEntropy,
+  createLocalDetector,
+  createGitGuardianBackend,
+  createLocalBackend,
+  createFallbackBackend,
+  createPrefilterBackend,
+  createBackend
+};
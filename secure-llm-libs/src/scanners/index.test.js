@@ -0,0 +1,138 @@
+global.fetch = jest.fn();
+
+const {
+  createBackend,
+  createFallbackBackend,
+  createPrefilterBackend
+} = require('./index');
+const {
+  GitGuardianApiError, GitGuardianTimeoutError, CircuitOpenError, scan, createScanCache
+} = require('../gitguardian/gitguardian-wrapper');
+
+const AWS_KEY = 'AKIA' + 'Q3EGRJ7TZ4WB5NXY';
+
+/**
+ * Creates a backend returning fixed results, or failing with an error
+ * @param {Array|Error} outcome - The results, or the error to throw
+ * @returns {Object} The backend
+ */
+const stubBackend = (outcome) => ({
+  name: 'stub',
+  requiresApiKey: true,
+  scan: jest.fn(async () => {
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  })
+});
+
+describe('scanner backends', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should scan offline with the local backend', async () => {
+    const content = `key: ${AWS_KEY}`;
+
+    const result = await scan(content, undefined, { backend: createBackend('local') });
+
+    expect(result.error).toBeUndefined();
+    expect(result.content).toBe('key: REDACTED');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should send documents and options to the GitGuardian backend', async () => {
+    global.fetch.mockResolvedValue({ ok: true, json: async () => [{ policy_breaks: [] }] });
+
+    await scan('hello', 'test-api-key', { backend: createBackend('gitguardian'), retries: 0 });
+
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer test-api-key');
+  });
+
+  test('should reject unknown backends', () => {
+    expect(() => createBackend('regexes')).toThrow('Unknown scanner backend "regexes"');
+  });
+
+  describe('createFallbackBackend', () => {
+    const fallbackResults = [{ policy_breaks: [{ type: 'AWS Keys' }] }];
+
+    test.each([
+      ['a 5xx response', new GitGuardianApiError(503, 'down', null)],
+      ['an open circuit', new CircuitOpenError('open', 0)],
+      ['a timeout', new GitGuardianTimeoutError(50)],
+      ['a network error', new TypeError('fetch failed')],
+      ['a refused connection', Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { code: 'ECONNREFUSED' })]
+    ])('should fall back on %s', async (reason, error) => {
+      const onFallback = jest.fn();
+      const backend = createFallbackBackend(stubBackend(error), stubBackend(fallbackResults), { onFallback });
+
+      await expect(backend.scan([])).resolves.toBe(fallbackResults);
+      expect(onFallback).toHaveBeenCalledWith(error);
+    });
+
+    test('should not hide other client errors', async () => {
+      const fallback = stubBackend(fallbackResults);
+      const backend = createFallbackBackend(stubBackend(new GitGuardianApiError(401, 'Invalid API key', null)), fallback);
+
+      await expect(backend.scan([])).rejects.toThrow('GitGuardian API error 401');
+      expect(fallback.scan).not.toHaveBeenCalled();
+    });
+
+    test('should not fall back when the API key is missing', async () => {
+      const onFallback = jest.fn();
+      const backend = createBackend('fallback', { onFallback });
+
+      await expect(backend.scan([{ filename: 'a.txt', document: `key: ${AWS_KEY}` }], { apiKey: '' }))
+        .rejects.toThrow('GitGuardian API key is required');
+      expect(onFallback).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should not fall back on errors from a bug', async () => {
+      const fallback = stubBackend(fallbackResults);
+      const backend = createFallbackBackend(stubBackend(new TypeError("Cannot read properties of undefined (reading 'json')")), fallback);
+
+      await expect(backend.scan([])).rejects.toThrow(TypeError);
+      expect(fallback.scan).not.toHaveBeenCalled();
+    });
+
+    test('should not cache the fallback results, so the primary backend scans again once it recovers', async () => {
+      const gitguardianResults = [{ policy_breaks: [{ type: 'Generic Password', policy: 'Secrets detection', matches: [] }] }];
+      const primary = stubBackend(new GitGuardianApiError(503, 'down', null));
+      const backend = createFallbackBackend(primary, stubBackend([{ policy_breaks: [] }]));
+      const cache = createScanCache();
+
+      const during = await scan('password=hunter22', 'test-api-key', { backend, cache });
+      primary.scan.mockResolvedValue(gitguardianResults);
+      const after = await scan('password=hunter22', 'test-api-key', { backend, cache });
+      const cached = await scan('password=hunter22', 'test-api-key', { backend, cache });
+
+      expect(during.scan_result.policy_breaks).toEqual([]);
+      expect(after.cache).toEqual({ hits: 0, misses: 1 });
+      expect(after.scan_result.policy_breaks).toEqual(gitguardianResults[0].policy_breaks);
+      expect(cached.cache).toEqual({ hits: 1, misses: 0 });
+      expect(primary.scan).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('createPrefilterBackend', () => {
+    test('should add prefilter findings the primary backend missed, once', async () => {
+      const shared = { type: 'AWS Keys', matches: [{ index_start: 0, index_end: 19 }] };
+      const missed = { type: 'Private Key', matches: [{ index_start: 30, index_end: 90 }] };
+      const backend = createPrefilterBackend(
+        stubBackend([{ policy_breaks: [shared, missed] }, { policy_breaks: [] }]),
+        stubBackend([{ policy_break_count: 1, policy_breaks: [{ ...shared, type: 'AWS Keys', validity: 'valid' }] }, { policy_breaks: [] }])
+      );
+
+      const results = await backend.scan([{}, {}]);
+
+      expect(results[0].policy_break_count).toBe(2);
+      expect(results[0].policy_breaks.map(policyBreak => [policyBreak.type, policyBreak.validity])).toEqual([
+        ['AWS Keys', 'valid'],
+        ['Private Key', undefined]
+      ]);
+      expect(results[1].policy_breaks).toEqual([]);
+    });
+  });
+});
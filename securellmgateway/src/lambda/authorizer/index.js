@@ -6,7 +6,7 @@
 // API Gateway v2 authorizer response format
 // https://docs.aws.amazon.com/apigateway/latest/developerguide/http-api-lambda-authorizer.html
 exports.handler = async (event) => {
-  console.log('Authorizer event:', JSON.stringify(event, null, 2));
+  // The event is not logged: its headers include the caller's Authorization token
   
   // For now, always allow the request
   return {
@@ -15,7 +15,11 @@ exports.handler = async (event) => {
       // Additional context that will be passed to the target Lambda
       userId: 'demo-user',
       principalId: 'user123',
-      scope: 'full-access'
+      scope: 'full-access',
+      // Team whose allowlist rules (see ALLOWLIST) apply to the caller's scans
+      team: 'demo-team',
+      // Comma-separated model names (or aliases) this caller may use; '*' allows all models
+      allowedModels: '*'
     }
   };
 };
\ No newline at end of file
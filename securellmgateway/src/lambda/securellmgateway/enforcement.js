@@ -0,0 +1,131 @@
+/**
+ * Enforcement policy deciding what the gateway does with each GitGuardian policy break.
+ *
+ * - `redact`: replace the match before forwarding it (the default)
+ * - `block`: reject the whole request without calling the model
+ * - `monitor`: forward the content unchanged and only log the detection
+ *
+ * The mode can be overridden per detector type (e.g. "AWS Keys") or per policy
+ * (e.g. "Secrets detection"); detector overrides take precedence.
+ *
+ * Content that could not be scanned is rejected unless the policy explicitly fails open.
+ *
+ * Redacted matches are replaced according to a redaction strategy (see createRedactionStrategy in
+ * secure-llm-libs), again settable globally and per detector type or policy.
+ */
+
+const { gitguardian_wrapper } = require('secure-llm-libs');
+const { createRedactionStrategy } = gitguardian_wrapper;
+
+const MODES = ['redact', 'block', 'monitor'];
+const SCAN_FAILURE_MODES = ['closed', 'open'];
+
+/**
+ * Reads the enforcement configuration from the environment
+ * @returns {Object} The default mode (ENFORCEMENT_MODE), overrides (ENFORCEMENT_OVERRIDES, as JSON),
+ *   scan failure mode (SCAN_FAILURE_MODE), redaction strategy (REDACTION_STRATEGY, a name or JSON),
+ *   strategy overrides (REDACTION_STRATEGIES, as JSON) and hash salt (REDACTION_HASH_SALT)
+ */
+function readEnforcementConfig() {
+    const strategy = process.env.REDACTION_STRATEGY || 'redact';
+    return {
+        mode: process.env.ENFORCEMENT_MODE || 'redact',
+        overrides: process.env.ENFORCEMENT_OVERRIDES ? JSON.parse(process.env.ENFORCEMENT_OVERRIDES) : {},
+        scanFailureMode: process.env.SCAN_FAILURE_MODE || 'closed',
+        strategy: strategy.startsWith('{') ? JSON.parse(strategy) : strategy,
+        strategies: process.env.REDACTION_STRATEGIES ? JSON.parse(process.env.REDACTION_STRATEGIES) : {},
+        hashSalt: process.env.REDACTION_HASH_SALT
+    };
+}
+
+/**
+ * Normalizes a redaction strategy setting, giving hash strategies the configured salt
+ * @param {string|Object} spec - A strategy name or settings object
+ * @param {string} [hashSalt] - The salt for hash strategies that do not set their own
+ * @returns {Object} The strategy settings
+ */
+function toStrategySpec(spec, hashSalt) {
+    const settings = typeof spec === 'string' ? { type: spec } : spec;
+    if (settings.type === 'hash' && !settings.salt && hashSalt) {
+        return { ...settings, salt: hashSalt };
+    }
+    return settings;
+}
+
+/**
+ * Creates an enforcement policy
+ * @param {Object} [config] - Modes, scan failure mode and redaction strategies; read from the environment when omitted
+ * @returns {Object} Policy with failOpen, redactOptions, modeFor(policyBreak), shouldRedact(policyBreak)
+ *   and blockedTypes(policyBreaks)
+ */
+function createEnforcementPolicy(config = readEnforcementConfig()) {
+    const {
+        mode = 'redact',
+        overrides = {},
+        scanFailureMode = 'closed',
+        strategy = 'redact',
+        strategies = {},
+        hashSalt
+    } = config;
+
+    if (!SCAN_FAILURE_MODES.includes(scanFailureMode)) {
+        throw new Error(`Scan failure mode must be one of ${SCAN_FAILURE_MODES.join(', ')}, got "${scanFailureMode}"`);
+    }
+
+    for (const [name, value] of [['default', mode], ...Object.entries(overrides)]) {
+        if (!MODES.includes(value)) {
+            throw new Error(`Enforcement mode for ${name} must be one of ${MODES.join(', ')}, got "${value}"`);
+        }
+    }
+
+    const lookup = Object.assign(Object.create(null), overrides);
+
+    const redactOptions = {
+        strategy: toStrategySpec(strategy, hashSalt),
+        strategies: Object.fromEntries(Object.entries(strategies)
+            .map(([name, spec]) => [name, toStrategySpec(spec, hashSalt)]))
+    };
+    // Fail at startup rather than on the first detection
+    [redactOptions.strategy, ...Object.values(redactOptions.strategies)].forEach(createRedactionStrategy);
+
+    /**
+     * Returns the enforcement mode for a policy break
+     * @param {Object} policyBreak - A GitGuardian policy break with type and policy
+     * @returns {string} The enforcement mode
+     */
+    const modeFor = (policyBreak) => lookup[policyBreak.type] || lookup[policyBreak.policy] || mode;
+
+    return {
+        // Whether content that could not be scanned is forwarded anyway
+        failOpen: scanFailureMode === 'open',
+
+        // Options for redactSensitiveContent and scan selecting how matches are replaced
+        redactOptions,
+
+        modeFor,
+
+        /**
+         * Checks whether a policy break should be redacted from forwarded content.
+         * Blocked detections are redacted too, for content that cannot be rejected, such as model output.
+         * @param {Object} policyBreak - A GitGuardian policy break
+         * @returns {boolean} Whether to redact it
+         */
+        shouldRedact(policyBreak) {
+            return modeFor(policyBreak) !== 'monitor';
+        },
+
+        /**
+         * Lists the detector types that block a request
+         * @param {Array<Object>} policyBreaks - GitGuardian policy breaks
+         * @returns {Array<string>} The distinct blocking detector types, in order of detection
+         */
+        blockedTypes(policyBreaks) {
+            const types = policyBreaks
+                .filter(policyBreak => modeFor(policyBreak) === 'block')
+                .map(policyBreak => policyBreak.type);
+            return [...new Set(types)];
+        }
+    };
+}
+
+module.exports = { MODES, readEnforcementConfig, createEnforcementPolicy };
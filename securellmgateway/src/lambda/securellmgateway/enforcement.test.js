@@ -0,0 +1,92 @@
+const { readEnforcementConfig, createEnforcementPolicy } = require('./enforcement');
+
+const awsKey = { type: 'AWS Keys', policy: 'Secrets detection', matches: [] };
+const password = { type: 'Generic Password', policy: 'Secrets detection', matches: [] };
+const email = { type: 'Email', policy: 'PII', matches: [] };
+
+describe('Enforcement policy', () => {
+  afterEach(() => {
+    delete process.env.ENFORCEMENT_MODE;
+    delete process.env.ENFORCEMENT_OVERRIDES;
+    delete process.env.SCAN_FAILURE_MODE;
+    delete process.env.REDACTION_STRATEGY;
+    delete process.env.REDACTION_STRATEGIES;
+    delete process.env.REDACTION_HASH_SALT;
+  });
+
+  test('should redact everything by default', () => {
+    const policy = createEnforcementPolicy({});
+
+    expect(policy.modeFor(awsKey)).toBe('redact');
+    expect(policy.shouldRedact(awsKey)).toBe(true);
+    expect(policy.blockedTypes([awsKey, password])).toEqual([]);
+  });
+
+  test('should fail closed unless failing open is opted into', () => {
+    expect(createEnforcementPolicy({}).failOpen).toBe(false);
+    expect(createEnforcementPolicy({ scanFailureMode: 'open' }).failOpen).toBe(true);
+    expect(() => createEnforcementPolicy({ scanFailureMode: 'ignore' })).toThrow(/Scan failure mode must be one of closed, open/);
+  });
+
+  test('should apply detector overrides before policy overrides and the default mode', () => {
+    const policy = createEnforcementPolicy({
+      mode: 'block',
+      overrides: { 'Generic Password': 'redact', 'PII': 'monitor' }
+    });
+
+    expect(policy.modeFor(awsKey)).toBe('block');
+    expect(policy.modeFor(password)).toBe('redact');
+    expect(policy.modeFor(email)).toBe('monitor');
+    expect(policy.shouldRedact(email)).toBe(false);
+    expect(policy.shouldRedact(awsKey)).toBe(true);
+  });
+
+  test('should list distinct blocking detector types', () => {
+    const policy = createEnforcementPolicy({ mode: 'monitor', overrides: { 'AWS Keys': 'block' } });
+
+    expect(policy.blockedTypes([awsKey, email, awsKey])).toEqual(['AWS Keys']);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => createEnforcementPolicy({ mode: 'warn' })).toThrow(/default must be one of redact, block, monitor/);
+    expect(() => createEnforcementPolicy({ overrides: { PII: 'drop' } })).toThrow(/PII must be one of/);
+  });
+
+  test('should read the configuration from the environment', () => {
+    process.env.ENFORCEMENT_MODE = 'block';
+    process.env.ENFORCEMENT_OVERRIDES = '{"PII":"monitor"}';
+    process.env.SCAN_FAILURE_MODE = 'open';
+
+    process.env.REDACTION_STRATEGY = '{"type":"partial","prefix":2}';
+    process.env.REDACTION_STRATEGIES = '{"PII":"mask"}';
+
+    expect(readEnforcementConfig()).toEqual({
+      mode: 'block',
+      overrides: { PII: 'monitor' },
+      scanFailureMode: 'open',
+      strategy: { type: 'partial', prefix: 2 },
+      strategies: { PII: 'mask' },
+      hashSalt: undefined
+    });
+  });
+
+  test('should build redaction options with the configured hash salt', () => {
+    const policy = createEnforcementPolicy({
+      strategy: 'typed',
+      strategies: { 'AWS Keys': 'hash', 'PII': { type: 'hash', salt: 'own-salt' } },
+      hashSalt: 'pepper'
+    });
+
+    expect(policy.redactOptions).toEqual({
+      strategy: { type: 'typed' },
+      strategies: {
+        'AWS Keys': { type: 'hash', salt: 'pepper' },
+        'PII': { type: 'hash', salt: 'own-salt' }
+      }
+    });
+  });
+
+  test('should reject unknown redaction strategies', () => {
+    expect(() => createEnforcementPolicy({ strategies: { PII: 'shred' } })).toThrow(/Unknown redaction strategy "shred"/);
+  });
+});
@@ -1,8 +1,20 @@
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { BedrockRuntimeClient, InvokeModelCommand, InvokeModelWithResponseStreamCommand } = require('@aws-sdk/client-bedrock-runtime');
 const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
 const { CloudWatchClient, PutMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
-const { gitguardian_wrapper, chunker } = require('secure-llm-libs');
-const { scan } = gitguardian_wrapper;
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const crypto = require('crypto');
+const { gitguardian_wrapper, chunker, scanners, logging, allowlist: allowlists } = require('secure-llm-libs');
+const { scan, scanBatch, createSecretVault } = gitguardian_wrapper;
+const { SSE_HEADERS, formatSseEvent, createStreamRedactor, createPlaceholderRestorer } = require('./streaming');
+const { createModelRegistry } = require('./models');
+const { hasImages, parseImageDataUrl } = require('./models/content');
+const { createUsageLedger } = require('./usage-ledger');
+const { createScanCacheStore } = require('./scan-cache-store');
+const { createEnforcementPolicy } = require('./enforcement');
+const { createStreamCallerRegistry } = require('./stream-callers');
+
+// Structured, sanitized JSON logs; entries carry the correlation ID of the request being handled
+const logger = logging.createLogger({ context: { service: 'securellmgateway' } });
 
 // Error response helpers
 const errorHeaders = { "Content-Type": "application/json" };
@@ -35,6 +47,133 @@ const createUnsupportedModelErrorResponse = (model, supportedModels) => ({
     })
 });
 
+// Model not found error (404)
+const createModelNotFoundErrorResponse = (model) => ({
+    statusCode: 404,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message: `The model '${model}' does not exist or you do not have access to it.`,
+            type: "invalid_request_error",
+            param: "model",
+            code: "model_not_found"
+        }
+    })
+});
+
+// Usage query validation error (400)
+const createUsageQueryErrorResponse = (message, param) => ({
+    statusCode: 400,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message,
+            type: "invalid_request_error",
+            param,
+            code: "invalid_usage_query"
+        }
+    })
+});
+
+// Usage query permission error (403)
+const createUsagePermissionErrorResponse = () => ({
+    statusCode: 403,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message: "You do not have permission to view usage for other principals",
+            type: "invalid_request_error",
+            param: "principal",
+            code: "insufficient_permissions"
+        }
+    })
+});
+
+// Streaming Function URL caller not listed in STREAM_CALLERS error (403)
+const createStreamCallerErrorResponse = () => ({
+    statusCode: 403,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message: "This principal is not allowed to call the streaming endpoint",
+            type: "invalid_request_error",
+            param: null,
+            code: "unknown_stream_caller"
+        }
+    })
+});
+
+// Usage ledger not configured error (501)
+const createUsageLedgerDisabledErrorResponse = () => ({
+    statusCode: 501,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message: "Usage ledger is not configured for this gateway",
+            type: "internal_server_error",
+            param: null,
+            code: "usage_ledger_disabled"
+        }
+    })
+});
+
+// Tool calling not supported error (400)
+const createToolsNotSupportedErrorResponse = (model) => ({
+    statusCode: 400,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message: `Model ${model} does not support tool calling`,
+            type: "invalid_request_error",
+            param: "tools",
+            code: "tools_not_supported"
+        }
+    })
+});
+
+// Images not supported by model error (400)
+const createImagesNotSupportedErrorResponse = (model) => ({
+    statusCode: 400,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message: `Model ${model} does not support image inputs`,
+            type: "invalid_request_error",
+            param: "messages.content",
+            code: "images_not_supported"
+        }
+    })
+});
+
+// Sensitive content blocked error (400)
+const createSensitiveContentErrorResponse = (detectorTypes) => ({
+    statusCode: 400,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message: `Request blocked because it contains sensitive content: ${detectorTypes.join(', ')}`,
+            type: "invalid_request_error",
+            param: "messages",
+            code: "sensitive_content_detected",
+            detectors: detectorTypes
+        }
+    })
+});
+
+// Scanning unavailable error (503)
+const createScanUnavailableErrorResponse = () => ({
+    statusCode: 503,
+    headers: errorHeaders,
+    body: JSON.stringify({
+        error: {
+            message: "Content could not be scanned for sensitive data, so the request was rejected",
+            type: "service_unavailable_error",
+            param: null,
+            code: "scan_unavailable"
+        }
+    })
+});
+
 // Message validation error (400)
 const createMessageValidationErrorResponse = (messageError) => ({
     statusCode: 400,
@@ -72,18 +211,101 @@ const createParsingErrorResponse = () => ({
     })
 });
 
+// Streaming error event, sent once the SSE response has already started
+const createStreamErrorEvent = (errorName) => formatSseEvent({
+    error: {
+        message: "An error occurred while streaming the model response",
+        type: "internal_server_error",
+        param: null,
+        code: errorName || null
+    }
+});
+
+// Raised when content could not be scanned and the gateway fails closed
+class ScanFailedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScanFailedError';
+    }
+}
+
 // Initialize the clients
 const bedrockClient = new BedrockRuntimeClient();
 const ssmClient = new SSMClient();
 const cloudWatchClient = new CloudWatchClient();
+const dynamoClient = new DynamoDBClient();
 
-// Supported models configuration
-const SUPPORTED_MODELS = {
-    'anthropic.claude-3-sonnet-20240229-v1:0': {
-        provider: 'anthropic',
-        bedrockName: 'anthropic.claude-3-sonnet-20240229-v1:0'
-    }
-};
+// Bedrock reports token counts in response headers for every provider; the body may not include them
+bedrockClient.middlewareStack.add(
+    (next) => async (args) => {
+        const result = await next(args);
+        const headers = (result.response && result.response.headers) || {};
+        if (headers['x-amzn-bedrock-input-token-count'] !== undefined) {
+            result.output.invocationMetrics = {
+                inputTokens: Number(headers['x-amzn-bedrock-input-token-count']),
+                outputTokens: Number(headers['x-amzn-bedrock-output-token-count'])
+            };
+        }
+        return result;
+    },
+    { step: 'deserialize', name: 'captureInvocationMetrics' }
+);
+
+// Per-caller usage ledger for chargeback, enabled when USAGE_TABLE_NAME is set
+const usageLedger = createUsageLedger(dynamoClient, process.env.USAGE_TABLE_NAME);
+
+// Supported models, loaded from MODEL_REGISTRY, MODEL_REGISTRY_PATH or models/models.json
+const modelRegistry = createModelRegistry();
+
+// Whether detections are redacted, blocked or only monitored, from ENFORCEMENT_MODE and ENFORCEMENT_OVERRIDES,
+// how redacted matches are replaced (REDACTION_STRATEGY and REDACTION_STRATEGIES), and whether
+// unscannable content is rejected (SCAN_FAILURE_MODE=closed, the default) or forwarded (open)
+const enforcement = createEnforcementPolicy();
+
+// When enabled, secrets are swapped for <<SECRET_n>> placeholders that are restored in the caller's response
+const REVERSIBLE_REDACTION = process.env.REVERSIBLE_REDACTION === 'true';
+
+// GitGuardian requests that take longer than this fail, and are then handled per SCAN_FAILURE_MODE
+const SCAN_TIMEOUT_MS = parseInt(process.env.SCAN_TIMEOUT_MS || '10000', 10);
+
+// Timed out, unreachable, 429 and 5xx GitGuardian requests are retried this many times with backoff
+const SCAN_MAX_RETRIES = parseInt(process.env.SCAN_MAX_RETRIES || '2', 10);
+
+// Which scanner finds secrets: 'gitguardian' (the default), 'local' (offline regex and entropy rules),
+// 'fallback' (local rules while GitGuardian is unavailable) or 'prefilter' (local findings added to GitGuardian's)
+const scannerBackend = scanners.createBackend(process.env.SCANNER_BACKEND || 'gitguardian', {
+    onFallback: (error) => logSecurityEvent({
+        type: 'scan_fallback',
+        error_message: error.message,
+        severity: 'medium'
+    })
+});
+
+// Scan results are reused for content seen within SCAN_CACHE_TTL_SECONDS (0 turns the cache off), for up to
+// SCAN_CACHE_MAX_ENTRIES documents per instance, and shared between instances when SCAN_CACHE_TABLE_NAME is set
+const SCAN_CACHE_TTL_SECONDS = parseInt(process.env.SCAN_CACHE_TTL_SECONDS || '900', 10);
+const scanCache = SCAN_CACHE_TTL_SECONDS > 0 ? gitguardian_wrapper.createScanCache({
+    ttlMs: SCAN_CACHE_TTL_SECONDS * 1000,
+    maxEntries: parseInt(process.env.SCAN_CACHE_MAX_ENTRIES || '1000', 10),
+    store: process.env.SCAN_CACHE_TABLE_NAME
+        ? createScanCacheStore(dynamoClient, process.env.SCAN_CACHE_TABLE_NAME)
+        : undefined,
+    onStoreError: (error) => logger.warn('Scan cache store failed', { error })
+}) : undefined;
+
+// Known harmless secrets, such as documentation examples, that are neither redacted nor reported as detections,
+// from ALLOWLIST: exact values, SHA-256 hashes, patterns, detector types and GitGuardian validities, plus rules
+// that only apply to callers of a team
+const allowlist = allowlists.createAllowlist(process.env.ALLOWLIST ? JSON.parse(process.env.ALLOWLIST) : {});
+
+// Rolling scan buffer sizes for streamed responses
+const STREAM_SCAN_WINDOW_CHARS = parseInt(process.env.STREAM_SCAN_WINDOW_CHARS || '512', 10);
+const STREAM_SCAN_HOLDBACK_CHARS = parseInt(process.env.STREAM_SCAN_HOLDBACK_CHARS || '4096', 10);
+
+// Policy for base64 image parts: 'allow', 'reject', or 'cap' at IMAGE_MAX_BYTES decoded bytes
+const IMAGE_POLICY = process.env.IMAGE_POLICY || 'cap';
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 
 /**
  * Fetches the GitGuardian API key from SSM Parameter Store
@@ -102,15 +324,39 @@ async function getGitGuardianApiKey() {
     return response.Parameter.Value;
 }
 
+/**
+ * Returns the API key for the scanner backend
+ * @returns {Promise<string|undefined>} The GitGuardian API key, or undefined when the backend does not use one
+ */
+async function getScanApiKey() {
+    return scannerBackend.requiresApiKey ? getGitGuardianApiKey() : undefined;
+}
+
+/**
+ * Scans with the scanner backend's API key, turning a failure to fetch the key or to scan into a
+ * scan result with an error, as scanBatch reports its own failures, so handleScanFailure applies to all
+ * @param {Function} scanWith - Called with the API key, returns the scan result
+ * @param {Function} unscanned - Called with the error message, returns the result for unscanned content
+ * @returns {Promise<Object>} The scan result
+ */
+async function scanWithApiKey(scanWith, unscanned) {
+    try {
+        return await scanWith(await getScanApiKey());
+    } catch (error) {
+        logger.error('GitGuardian scanning error', { error });
+        return unscanned(error.message);
+    }
+}
+
 /**
  * Logs a security event to CloudWatch
  * @param {Object} event - The security event details
  */
 async function logSecurityEvent(event) {
-    console.log(JSON.stringify({
+    logger.info('Security event', {
         security_event: true,
         ...event
-    }));
+    });
 
     try {
         const command = new PutMetricDataCommand({
@@ -133,27 +379,205 @@ async function logSecurityEvent(event) {
         });
         await cloudWatchClient.send(command);
     } catch (error) {
-        console.error('Failed to send metric data:', error);
+        logger.error('Failed to send metric data', { error });
+    }
+}
+
+/**
+ * Sends the scan cache hits and misses of one scan to CloudWatch
+ * @param {Object} [usage] - The scan() result's cache field, absent when no cache was used
+ */
+async function logScanCacheMetrics(usage) {
+    if (!usage) {
+        return;
+    }
+
+    try {
+        const command = new PutMetricDataCommand({
+            Namespace: 'SecureLLMGateway',
+            MetricData: [
+                { MetricName: 'ScanCacheHits', Value: usage.hits, Unit: 'Count' },
+                { MetricName: 'ScanCacheMisses', Value: usage.misses, Unit: 'Count' }
+            ]
+        });
+        await cloudWatchClient.send(command);
+    } catch (error) {
+        logger.error('Failed to send metric data', { error });
     }
 }
 
 /**
- * Wrapper for GitGuardian scan that adds API key and logging
- * @param {string} content - The content to scan and redact
- * @param {string} filename - Optional filename for the scan
- * @returns {Promise<Object>} Object containing redacted content and redaction info
+ * Scans and redacts several texts in one batch of GitGuardian requests, adding the API key and logging
+ * @param {Array<Object>} targets - The texts to scan, each with text and filename
+ * @param {Object} [vault] - The request's secret vault, to redact with reversible placeholders
+ * @param {string} [team] - The caller's team, whose allowlist rules apply
+ * @returns {Promise<Array<Object>>} One result per target, containing redacted content and redaction info
  */
-async function scanAndRedactWithLogging(content, filename = "chat.txt") {
-    // Get API key from SSM Parameter Store
-    const apiKey = await getGitGuardianApiKey();
+async function scanAndRedactAllWithLogging(targets, vault = null, team = null) {
+    if (targets.length === 0) {
+        return [];
+    }
+
+    // Scan and redact all texts together, with the API key from SSM Parameter Store
+    const batch = await scanWithApiKey((apiKey) => scanBatch(targets.map(({ text, filename }) => ({ content: text, filename })), apiKey, {
+        ...enforcement.redactOptions,
+        redact: enforcement.shouldRedact,
+        timeoutMs: SCAN_TIMEOUT_MS,
+        retries: SCAN_MAX_RETRIES,
+        backend: scannerBackend,
+        cache: scanCache,
+        allowlist: allowlist.forTeam(team),
+        vault
+    }), (error) => ({
+        results: targets.map(({ text }) => ({ content: text, redactions: [], error })),
+        error
+    }));
+    handleScanFailure(batch);
+    logScanCacheMetrics(batch.cache);
     
-    // Scan and redact content, passing the API key as a parameter
-    const result = await scan(content, apiKey, { filename });
+    for (const result of batch.results) {
+        logRedactionEvents(result.redactions);
+        logMonitoredEvents(policyBreaksOf(result));
+        logSuppressedEvents(result.suppressed);
+    }
     
+    return batch.results;
+}
+
+/**
+ * Scans a window of streamed model output without redacting it
+ * @param {string} content - The buffered text to scan
+ * @param {string} [team] - The caller's team, whose allowlist rules apply
+ * @returns {Promise<Object>} The GitGuardian scan result
+ */
+async function scanStreamWindow(content, team = null) {
+    const result = await scanWithApiKey((apiKey) => scan(content, apiKey, {
+        filename: "llm_response_stream.txt",
+        redact: false,
+        timeoutMs: SCAN_TIMEOUT_MS,
+        retries: SCAN_MAX_RETRIES,
+        backend: scannerBackend,
+        cache: scanCache,
+        allowlist: allowlist.forTeam(team)
+    }), (error) => ({ content, redactions: [], error }));
+    handleScanFailure(result);
+    logScanCacheMetrics(result.cache);
+    const policyBreaks = policyBreaksOf(result);
+    logMonitoredEvents(policyBreaks);
+    logSuppressedEvents(result.suppressed);
+    return { ...result.scan_result, policy_breaks: policyBreaks.filter(enforcement.shouldRedact) };
+}
+
+/**
+ * Logs a failed scan and, unless the gateway fails open, rejects the content
+ * @param {Object} result - The scan() result, which has an error field when scanning failed
+ * @throws {ScanFailedError} When scanning failed and the gateway does not fail open
+ */
+function handleScanFailure(result) {
+    if (!result.error) {
+        return;
+    }
+
+    logSecurityEvent({
+        type: 'scan_failed',
+        error_message: result.error,
+        circuit_state: result.circuit_state,
+        failure_mode: enforcement.failOpen ? 'open' : 'closed',
+        severity: 'high'
+    });
+    if (!enforcement.failOpen) {
+        throw new ScanFailedError(result.error);
+    }
+}
+
+/**
+ * Returns the policy breaks found by a scan
+ * @param {Object} result - The scan() result
+ * @returns {Array<Object>} The policy breaks, empty when the scan failed
+ */
+function policyBreaksOf(result) {
+    return (result.scan_result && result.scan_result.policy_breaks) || [];
+}
+
+/**
+ * Logs a security event per policy for detections that are only monitored
+ * @param {Array<Object>} policyBreaks - The policy breaks found in some content
+ */
+function logMonitoredEvents(policyBreaks) {
+    const monitored = policyBreaks.filter(policyBreak => enforcement.modeFor(policyBreak) === 'monitor');
+    const policyCounts = monitored.reduce((acc, policyBreak) => {
+        const policy = policyBreak.policy || 'unknown';
+        acc[policy] = (acc[policy] || 0) + (policyBreak.matches || []).length;
+        return acc;
+    }, {});
+
+    Object.entries(policyCounts).forEach(([policy, count]) => {
+        logSecurityEvent({
+            type: 'sensitive_data_monitored',
+            policy: policy,
+            matches: count,
+            severity: 'low'
+        });
+    });
+}
+
+/**
+ * Logs allowlisted secrets that were left in place, and counts them apart from security events
+ * @param {Array<Object>} [suppressed] - The suppressed policy breaks of a scan, without their values
+ */
+async function logSuppressedEvents(suppressed) {
+    if (!suppressed || suppressed.length === 0) {
+        return;
+    }
+
+    logger.info('Allowlisted secrets suppressed', { suppressed });
+
+    const counts = suppressed.reduce((acc, { type, reason, matches }) => {
+        const key = JSON.stringify([type || 'unknown', reason]);
+        acc[key] = (acc[key] || 0) + matches;
+        return acc;
+    }, {});
+
+    try {
+        const command = new PutMetricDataCommand({
+            Namespace: 'SecureLLMGateway',
+            MetricData: Object.entries(counts).map(([key, count]) => {
+                const [type, reason] = JSON.parse(key);
+                return {
+                    MetricName: 'SuppressedSecrets',
+                    Value: count,
+                    Unit: 'Count',
+                    Dimensions: [
+                        { Name: 'DetectorType', Value: type },
+                        { Name: 'Reason', Value: reason }
+                    ]
+                };
+            })
+        });
+        await cloudWatchClient.send(command);
+    } catch (error) {
+        logger.error('Failed to send metric data', { error });
+    }
+}
+
+/**
+ * Describes redactions for logging, without the secrets they replaced
+ * @param {Array<Object>} redactions - The redactions applied to some content
+ * @returns {Array<Object>} The type, policy and position of each redaction
+ */
+function summarizeRedactions(redactions) {
+    return redactions.map(({ type, policy, start, end }) => ({ type, policy, start, end }));
+}
+
+/**
+ * Logs a security event per policy for a list of redactions
+ * @param {Array<Object>} redactions - The redactions applied to some content
+ */
+function logRedactionEvents(redactions) {
     // Log security events if there are redactions
-    if (result.redactions && result.redactions.length > 0) {
+    if (redactions && redactions.length > 0) {
         // Group redactions by policy for logging
-        const policyCounts = result.redactions.reduce((acc, redaction) => {
+        const policyCounts = redactions.reduce((acc, redaction) => {
             const policy = redaction.policy || 'unknown';
             acc[policy] = (acc[policy] || 0) + 1;
             return acc;
@@ -169,18 +593,135 @@ async function scanAndRedactWithLogging(content, filename = "chat.txt") {
             });
         });
     }
-    
-    return result;
 }
 
 
+/**
+ * Merges token counts, taking each count from the first source that reports it
+ * @param {...Object} sources - Token counts with inputTokens and outputTokens
+ * @returns {Object} The merged token counts
+ */
+function mergeUsage(...sources) {
+    const reported = sources.filter(Boolean);
+    const first = (field) => {
+        const source = reported.find(usage => usage[field] !== undefined);
+        return source ? source[field] : undefined;
+    };
+    return {
+        inputTokens: first('inputTokens'),
+        outputTokens: first('outputTokens')
+    };
+}
+
+/**
+ * Converts token counts to an OpenAI usage block
+ * @param {Object} [usage] - Token counts with inputTokens and outputTokens
+ * @returns {Object} The OpenAI usage block
+ */
+function toOpenAIUsage(usage = {}) {
+    const promptTokens = usage.inputTokens || 0;
+    const completionTokens = usage.outputTokens || 0;
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+/**
+ * Records the token usage of a completion in the usage ledger.
+ * Ledger failures are logged but never fail the request.
+ * @param {Object} caller - The caller context
+ * @param {string} requestId - The completion id
+ * @param {string} requestedModel - The model name from the request
+ * @param {Object} model - The resolved model registry entry
+ * @param {Object} usage - The OpenAI usage block
+ */
+async function recordUsage(caller, requestId, requestedModel, model, usage) {
+    try {
+        await usageLedger.record({
+            principal_id: caller.principalId || 'anonymous',
+            request_id: requestId,
+            model: requestedModel,
+            bedrock_model: model.bedrockName,
+            ...usage
+        });
+    } catch (error) {
+        logger.error('Failed to record usage', { error });
+    }
+}
+
+/**
+ * Checks the content parts of a message. Image parts are only accepted from users.
+ * @param {Object} message - The message to check
+ * @returns {boolean} Whether the content is a non-empty array of well-formed parts
+ */
+function isValidContentParts(message) {
+    return Array.isArray(message.content) && message.content.length > 0 && message.content.every(part => {
+        if (!part || typeof part !== 'object') {
+            return false;
+        }
+        if (part.type === 'text') {
+            return typeof part.text === 'string';
+        }
+        return part.type === 'image_url' && message.role === 'user' &&
+            Boolean(part.image_url) && typeof part.image_url.url === 'string';
+    });
+}
+
+/**
+ * Applies the image policy to the image parts of a message
+ * @param {Object} message - A validated message
+ * @returns {Object|null} Error object if an image is not acceptable, null otherwise
+ */
+function validateImages(message) {
+    if (!hasImages(message.content)) {
+        return null;
+    }
+
+    if (IMAGE_POLICY === 'reject') {
+        return {
+            message: "Image inputs are not allowed by this gateway",
+            type: "invalid_request_error",
+            param: "messages.content",
+            code: "images_not_allowed"
+        };
+    }
+
+    for (const part of message.content.filter(part => part.type === 'image_url')) {
+        // Bedrock cannot fetch remote images, so only inline base64 data is accepted
+        const image = parseImageDataUrl(part.image_url.url);
+        if (!image || !IMAGE_MEDIA_TYPES.includes(image.mediaType)) {
+            return {
+                message: `Images must be base64 data URLs of type ${IMAGE_MEDIA_TYPES.join(', ')}`,
+                type: "invalid_request_error",
+                param: "messages.content.image_url",
+                code: "invalid_image"
+            };
+        }
+        if (IMAGE_POLICY === 'cap' && image.size > IMAGE_MAX_BYTES) {
+            return {
+                message: `Images must not exceed ${IMAGE_MAX_BYTES} bytes`,
+                type: "invalid_request_error",
+                param: "messages.content.image_url",
+                code: "image_too_large"
+            };
+        }
+    }
+
+    return null;
+}
+
 /**
  * Validates a message object
  * @param {Object} message - The message to validate
  * @returns {Object|null} Error object if invalid, null if valid
  */
 function validateMessage(message) {
-    if (!message.role || !message.content) {
+    // Assistant messages that call tools may omit their content
+    const hasToolCalls = message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0;
+
+    if (!message.role || (!message.content && !hasToolCalls)) {
         return {
             message: "Each message must have 'role' and 'content' fields",
             type: "invalid_request_error",
@@ -189,25 +730,439 @@ function validateMessage(message) {
         };
     }
 
-    if (typeof message.content !== 'string') {
+    if (message.content && typeof message.content !== 'string' && !isValidContentParts(message)) {
         return {
-            message: "Message content must be a string",
+            message: "Message content must be a string or an array of 'text' and 'image_url' content parts",
             type: "invalid_request_error",
             param: "messages.content",
             code: "invalid_content_type"
         };
     }
 
+    if (message.role === 'tool' && !message.tool_call_id) {
+        return {
+            message: "Tool messages must have a 'tool_call_id' field",
+            type: "invalid_request_error",
+            param: "messages.tool_call_id",
+            code: "invalid_message_format"
+        };
+    }
+
+    if (hasToolCalls) {
+        const invalidToolCall = message.tool_calls.find(toolCall =>
+            !toolCall.id || !toolCall.function || !toolCall.function.name ||
+            typeof toolCall.function.arguments !== 'string'
+        );
+        if (invalidToolCall) {
+            return {
+                message: "Each tool call must have an 'id' and a 'function' with a 'name' and string 'arguments'",
+                type: "invalid_request_error",
+                param: "messages.tool_calls",
+                code: "invalid_message_format"
+            };
+        }
+    }
+
     return null;
 }
 
+/**
+ * Validates the tool definitions of a request
+ * @param {Array<Object>} [tools] - The OpenAI tool definitions
+ * @returns {Object|null} Error object if invalid, null if valid
+ */
+function validateTools(tools) {
+    if (tools === undefined) {
+        return null;
+    }
+
+    const valid = Array.isArray(tools) && tools.every(tool =>
+        tool && tool.type === 'function' && tool.function && typeof tool.function.name === 'string'
+    );
+    if (!valid) {
+        return {
+            message: "Tools must be an array of function definitions, each with a 'function.name'",
+            type: "invalid_request_error",
+            param: "tools",
+            code: "invalid_tools"
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Checks whether a request uses tool calling
+ * @param {Object} requestBody - The parsed request body
+ * @returns {boolean} Whether the request has tools, tool calls or tool results
+ */
+function usesTools(requestBody) {
+    return (Array.isArray(requestBody.tools) && requestBody.tools.length > 0) ||
+        requestBody.messages.some(message => message.role === 'tool' || Array.isArray(message.tool_calls));
+}
+
+/**
+ * Puts the caller's secrets back in place of the vault placeholders in model output
+ * @param {string} text - Scanned and redacted model output
+ * @param {Object} [vault] - The request's secret vault
+ * @returns {string} The text with secrets restored, or unchanged without a vault
+ */
+function restoreSecrets(text, vault) {
+    return vault ? vault.restore(text) : text;
+}
+
+/**
+ * Scans and redacts model output, its text and the arguments of each tool call in one batch, then restores
+ * the caller's own secrets
+ * @param {string} text - The response text, empty when the model only called tools
+ * @param {Array<Object>} toolCalls - Tool calls with id, name and arguments
+ * @param {Object} [vault] - The request's secret vault, when reversible redaction is enabled
+ * @param {string} [team] - The caller's team, whose allowlist rules apply
+ * @returns {Promise<Object>} The redacted text and OpenAI tool calls with redacted arguments
+ */
+async function redactCompletion(text, toolCalls, vault = null, team = null) {
+    const results = await scanAndRedactAllWithLogging([
+        ...(text ? [{ text, filename: "llm_response.txt" }] : []),
+        ...toolCalls.map(toolCall => ({ text: toolCall.arguments, filename: "llm_tool_call.txt" }))
+    ], null, team);
+
+    let redactedText = text;
+    if (text) {
+        const { content: redactedResponse, redactions } = results.shift();
+        if (redactions.length > 0) {
+            logger.info('GitGuardian scan found sensitive content in LLM response', {
+                redactions: summarizeRedactions(redactions)
+            });
+            redactedText = redactedResponse;
+        }
+    }
+
+    return {
+        text: restoreSecrets(redactedText, vault),
+        toolCalls: toolCalls.map((toolCall, i) => {
+            const { content: redactedArguments, redactions } = results[i];
+            if (redactions.length > 0) {
+                logger.info('GitGuardian scan found sensitive content in LLM tool call', {
+                    tool: toolCall.name,
+                    redactions: summarizeRedactions(redactions)
+                });
+            }
+            return {
+                id: toolCall.id,
+                type: "function",
+                function: {
+                    name: toolCall.name,
+                    arguments: restoreSecrets(redactions.length > 0 ? redactedArguments : toolCall.arguments, vault)
+                }
+            };
+        })
+    };
+}
+
+/**
+ * Reads the caller identity and model allowlist passed on by the Lambda authorizer
+ * @param {Object} event - The Lambda event
+ * @returns {Object} Caller context with principalId, scope and allowedModels (null when unrestricted)
+ */
+function getCallerContext(event) {
+    const requestContext = event.requestContext || {};
+    const authorizer = requestContext.authorizer || {};
+    // HTTP API simple responses nest the context under `lambda`; REST APIs pass it directly
+    const context = authorizer.lambda || authorizer;
+
+    const allowedModels = typeof context.allowedModels === 'string'
+        ? context.allowedModels.split(',').map(name => name.trim()).filter(Boolean)
+        : null;
+
+    return {
+        principalId: context.principalId || null,
+        scope: context.scope || null,
+        team: context.team || null,
+        allowedModels
+    };
+}
+
+/**
+ * Converts a model name to an OpenAI model object
+ * @param {string} name - The model name or alias
+ * @returns {Object} The model object
+ */
+function toModelObject(name) {
+    const model = modelRegistry.resolve(name);
+    return {
+        id: name,
+        object: "model",
+        created: model.created,
+        owned_by: model.provider
+    };
+}
+
+/**
+ * Lists the models available to the caller
+ * @param {Object} caller - The caller context
+ * @returns {Object} Response object with status code and body
+ */
+function listModels(caller) {
+    const data = modelRegistry.names()
+        .filter(name => modelRegistry.isAllowed(name, caller.allowedModels))
+        .map(toModelObject);
+
+    return {
+        statusCode: 200,
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify({
+            object: "list",
+            data
+        })
+    };
+}
+
+/**
+ * Retrieves a single model, if it exists and the caller may use it
+ * @param {string} name - The model name or alias
+ * @param {Object} caller - The caller context
+ * @returns {Object} Response object with status code and body
+ */
+function retrieveModel(name, caller) {
+    if (!modelRegistry.resolve(name) || !modelRegistry.isAllowed(name, caller.allowedModels)) {
+        return createModelNotFoundErrorResponse(name);
+    }
+
+    return {
+        statusCode: 200,
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify(toModelObject(name))
+    };
+}
+
+// Usage ledger dates are whole days in UTC
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Queries the usage ledger for a principal and date range.
+ * Callers may query their own usage; other principals require the `full-access` scope.
+ * @param {Object} params - Query string parameters: principal, start_date and end_date (YYYY-MM-DD)
+ * @param {Object} caller - The caller context
+ * @returns {Promise<Object>} Response object with status code and body
+ */
+async function queryUsage(params, caller) {
+    if (!usageLedger.enabled) {
+        return createUsageLedgerDisabledErrorResponse();
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const principal = params.principal || caller.principalId || 'anonymous';
+    const startDate = params.start_date || `${today.slice(0, 7)}-01`;
+    const endDate = params.end_date || today;
+
+    if (principal !== (caller.principalId || 'anonymous') && caller.scope !== 'full-access') {
+        return createUsagePermissionErrorResponse();
+    }
+    if (!DATE_PATTERN.test(startDate)) {
+        return createUsageQueryErrorResponse("start_date must be a date in YYYY-MM-DD format", "start_date");
+    }
+    if (!DATE_PATTERN.test(endDate)) {
+        return createUsageQueryErrorResponse("end_date must be a date in YYYY-MM-DD format", "end_date");
+    }
+    if (startDate > endDate) {
+        return createUsageQueryErrorResponse("start_date must not be after end_date", "start_date");
+    }
+
+    const data = await usageLedger.query(principal, { startDate, endDate });
+    const totals = data.reduce((acc, entry) => ({
+        requests: acc.requests + 1,
+        prompt_tokens: acc.prompt_tokens + entry.prompt_tokens,
+        completion_tokens: acc.completion_tokens + entry.completion_tokens,
+        total_tokens: acc.total_tokens + entry.total_tokens
+    }), { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+
+    return {
+        statusCode: 200,
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify({
+            object: "list",
+            principal,
+            start_date: startDate,
+            end_date: endDate,
+            totals,
+            data
+        })
+    };
+}
+
+/**
+ * Streams a Bedrock completion as OpenAI chat.completion.chunk objects.
+ * Model output passes through a rolling redactor, so no text is released before it is scanned.
+ * @param {Object} requestBody - The validated request body
+ * @param {Object} model - The resolved model registry entry
+ * @param {Object} bedrockRequest - The Bedrock request parameters
+ * @param {Object} caller - The caller context, for the usage ledger and the allowlist
+ * @param {Object} [vault] - The request's secret vault, whose placeholders are restored in the output
+ * @returns {AsyncGenerator<Object>} The completion chunks
+ */
+async function* streamChatCompletion(requestBody, model, bedrockRequest, caller, vault = null) {
+    const id = `chatcmpl-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const createChunk = (delta, finishReason = null) => ({
+        id,
+        object: "chat.completion.chunk",
+        created,
+        model: requestBody.model,
+        choices: [
+            {
+                index: 0,
+                delta,
+                finish_reason: finishReason
+            }
+        ]
+    });
+
+    const command = new InvokeModelWithResponseStreamCommand(bedrockRequest);
+    const bedrockResponse = await bedrockClient.send(command);
+
+    const redactor = createStreamRedactor((content) => scanStreamWindow(content, caller.team), {
+        windowSize: STREAM_SCAN_WINDOW_CHARS,
+        holdback: STREAM_SCAN_HOLDBACK_CHARS,
+        redactOptions: enforcement.redactOptions
+    });
+    const restorer = createPlaceholderRestorer(vault);
+    let finishReason = 'stop';
+    let usage = {};
+    // Tool calls are buffered whole, so their arguments can be scanned before release
+    const toolCalls = [];
+    const toolCallsByBlock = {};
+
+    yield createChunk({ role: "assistant", content: "" });
+
+    for await (const event of bedrockResponse.body) {
+        if (!event.chunk) {
+            continue;
+        }
+
+        const payload = JSON.parse(new TextDecoder().decode(event.chunk.bytes));
+        const { text, toolCallDelta, finishReason: chunkFinishReason, usage: chunkUsage } = model.adapter.parseStreamChunk(payload);
+        usage = mergeUsage(chunkUsage, usage);
+        // The final chunk of every provider carries Bedrock's own token counts
+        const metrics = payload['amazon-bedrock-invocationMetrics'];
+        if (metrics) {
+            usage = { inputTokens: metrics.inputTokenCount, outputTokens: metrics.outputTokenCount };
+        }
+        if (text) {
+            const released = restorer.push(await redactor.push(text));
+            if (released) {
+                yield createChunk({ content: released });
+            }
+        }
+        if (toolCallDelta) {
+            if (!toolCallsByBlock[toolCallDelta.block]) {
+                toolCallsByBlock[toolCallDelta.block] = { id: toolCallDelta.id, name: toolCallDelta.name, arguments: '' };
+                toolCalls.push(toolCallsByBlock[toolCallDelta.block]);
+            }
+            toolCallsByBlock[toolCallDelta.block].arguments += toolCallDelta.arguments || '';
+        }
+        if (chunkFinishReason) {
+            finishReason = chunkFinishReason;
+        }
+    }
+
+    const remaining = restorer.push(await redactor.flush()) + restorer.flush();
+    if (remaining) {
+        yield createChunk({ content: remaining });
+    }
+
+    const { toolCalls: redactedToolCalls } = await redactCompletion('', toolCalls.map(toolCall => ({
+        ...toolCall,
+        // Tool calls without input stream no argument deltas
+        arguments: toolCall.arguments || '{}'
+    })), vault, caller.team);
+    for (const [index, toolCall] of redactedToolCalls.entries()) {
+        yield createChunk({ tool_calls: [{ index, ...toolCall }] });
+    }
+
+    if (redactor.redactions.length > 0) {
+        logger.info('GitGuardian scan found sensitive content in streamed LLM response', {
+            redactions: summarizeRedactions(redactor.redactions)
+        });
+        logRedactionEvents(redactor.redactions);
+    }
+
+    yield createChunk({}, finishReason);
+
+    const openAIUsage = toOpenAIUsage(usage);
+    await recordUsage(caller, id, requestBody.model, model, openAIUsage);
+
+    // OpenAI only sends usage when the client asks for it, in a final chunk without choices
+    if (requestBody.stream_options && requestBody.stream_options.include_usage) {
+        yield { ...createChunk({}), choices: [], usage: openAIUsage };
+    }
+}
+
+/**
+ * Runs a streaming chat completion and frames it as server-sent events
+ * @param {Object} requestBody - The validated request body
+ * @param {Object} model - The resolved model registry entry
+ * @param {Object} bedrockRequest - The Bedrock request parameters
+ * @param {Object} caller - The caller context
+ * @param {Function} [openStream] - Opens a response stream for the given status code and headers;
+ *   when omitted, the events are buffered and returned in the response body
+ * @param {Object} [vault] - The request's secret vault
+ * @returns {Promise<Object>} Response object with status code and body
+ */
+async function streamChatCompletionResponse(requestBody, model, bedrockRequest, caller, openStream, vault = null) {
+    const events = [];
+    let stream = null;
+    const write = (event) => {
+        if (!stream && openStream) {
+            stream = openStream(200, SSE_HEADERS);
+        }
+        stream ? stream.write(event) : events.push(event);
+    };
+
+    const chunks = streamChatCompletion(requestBody, model, bedrockRequest, caller, vault);
+    try {
+        for await (const chunk of chunks) {
+            write(formatSseEvent(chunk));
+        }
+        write(formatSseEvent('[DONE]'));
+    } catch (error) {
+        // Nothing has been sent yet, so the caller can still return a normal error response
+        if (!stream && events.length === 0) {
+            throw error;
+        }
+        logSecurityEvent({
+            type: 'error',
+            error_type: error.name,
+            error_message: error.message,
+            severity: 'high'
+        });
+        write(createStreamErrorEvent(error.name));
+    }
+
+    return {
+        statusCode: 200,
+        headers: SSE_HEADERS,
+        body: events.join('')
+    };
+}
 
 /**
  * Processes a chat completion request
  * @param {Object} requestBody - The parsed request body
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.caller] - The caller context from the authorizer
+ * @param {Function} [options.openStream] - Opens a response stream, used for `stream: true` requests
+ *   when the Lambda is invoked with response streaming
  * @returns {Object} Response object with status code and body
  */
-async function processChatCompletion(requestBody) {
+async function processChatCompletion(requestBody, options = {}) {
+    const { caller = { principalId: null, allowedModels: null }, openStream } = options;
+
     try {
         // Validate required fields
         if (!requestBody.model || !Array.isArray(requestBody.messages) || requestBody.messages.length === 0) {
@@ -215,105 +1170,163 @@ async function processChatCompletion(requestBody) {
         }
 
         // Validate model
-        if (!SUPPORTED_MODELS[requestBody.model]) {
-            return createUnsupportedModelErrorResponse(requestBody.model, Object.keys(SUPPORTED_MODELS));
+        const model = modelRegistry.resolve(requestBody.model);
+        if (!model || !modelRegistry.isAllowed(requestBody.model, caller.allowedModels)) {
+            const allowedNames = modelRegistry.names()
+                .filter(name => modelRegistry.isAllowed(name, caller.allowedModels));
+            return createUnsupportedModelErrorResponse(requestBody.model, allowedNames);
         }
 
         // Validate each message in the array
         for (const message of requestBody.messages) {
-            const messageError = validateMessage(message);
+            const messageError = validateMessage(message) || validateImages(message);
             if (messageError) {
                 return createMessageValidationErrorResponse(messageError);
             }
         }
 
-        // Scan and redact all messages in parallel
-        const scanAndRedactPromises = requestBody.messages.map(message => 
-            scanAndRedactWithLogging(message.content, `message_${message.role}.txt`)
-        );
-        const redactionResults = await Promise.all(scanAndRedactPromises);
+        // Validate tool definitions
+        const toolsError = validateTools(requestBody.tools);
+        if (toolsError) {
+            return createMessageValidationErrorResponse(toolsError);
+        }
+        if (usesTools(requestBody) && !model.adapter.supportsTools) {
+            return createToolsNotSupportedErrorResponse(requestBody.model);
+        }
+        if (requestBody.messages.some(message => hasImages(message.content)) && !model.adapter.supportsImages) {
+            return createImagesNotSupportedErrorResponse(requestBody.model);
+        }
+
+        // Collect message content, text parts and tool call arguments, which are scanned alike
+        const scanTargets = [];
+        for (const message of requestBody.messages) {
+            if (Array.isArray(message.content)) {
+                message.content.forEach((part, index) => {
+                    if (part.type === 'text' && part.text) {
+                        scanTargets.push({
+                            message,
+                            text: part.text,
+                            filename: `message_${message.role}_part_${index}.txt`,
+                            apply: (redacted) => { part.text = redacted; }
+                        });
+                    }
+                });
+            } else if (message.content) {
+                scanTargets.push({
+                    message,
+                    text: message.content,
+                    filename: `message_${message.role}.txt`,
+                    apply: (redacted) => { message.content = redacted; }
+                });
+            }
+            for (const toolCall of message.tool_calls || []) {
+                scanTargets.push({
+                    message,
+                    text: toolCall.function.arguments,
+                    filename: `message_${message.role}_tool_call.txt`,
+                    apply: (redacted) => { toolCall.function.arguments = redacted; }
+                });
+            }
+        }
+
+        // Secrets redacted from this request can be restored in its response, and only there
+        const vault = REVERSIBLE_REDACTION ? createSecretVault() : null;
+
+        // Scan and redact all messages in one batch
+        const redactionResults = await scanAndRedactAllWithLogging(scanTargets, vault, caller.team);
+
+        // Reject the request outright if any detection is in block mode
+        const blockedTypes = [...new Set(redactionResults.flatMap(result =>
+            enforcement.blockedTypes(policyBreaksOf(result))
+        ))];
+        if (blockedTypes.length > 0) {
+            await logSecurityEvent({
+                type: 'sensitive_data_blocked',
+                detectors: blockedTypes.join(','),
+                severity: 'high'
+            });
+            return createSensitiveContentErrorResponse(blockedTypes);
+        }
 
         // Update messages with redacted content
-        for (let i = 0; i < requestBody.messages.length; i++) {
+        for (let i = 0; i < scanTargets.length; i++) {
             const { content: redactedContent, redactions } = redactionResults[i];
             
             if (redactions.length > 0) {
-                console.log('GitGuardian scan found sensitive content in message:', {
-                    role: requestBody.messages[i].role,
-                    redactions: JSON.stringify(redactions)
+                logger.info('GitGuardian scan found sensitive content in message', {
+                    role: scanTargets[i].message.role,
+                    redactions: summarizeRedactions(redactions)
                 });
-                requestBody.messages[i].content = redactedContent;
+                scanTargets[i].apply(redactedContent);
             }
         }
 
-        // Prepare Bedrock request
-        // Map 'system' role to 'user' with a prefix, as Bedrock doesn't support 'system' role directly
-        const mappedMessages = requestBody.messages.map(message => {
-            if (message.role === 'system') {
-                return {
-                    role: 'user',
-                    content: `[System instruction]: ${message.content}`
-                };
-            }
-            return message;
-        });
-        
+        // Prepare Bedrock request in the provider's native format
         const bedrockRequest = {
-            modelId: SUPPORTED_MODELS[requestBody.model].bedrockName,
+            modelId: model.bedrockName,
             contentType: 'application/json',
             accept: 'application/json',
-            body: JSON.stringify({
-                anthropic_version: "bedrock-2023-05-31",
-                max_tokens: requestBody.max_tokens || 2048,
+            body: JSON.stringify(model.adapter.buildRequestBody(requestBody.messages, {
+                maxTokens: requestBody.max_tokens || 2048,
                 temperature: requestBody.temperature || 0.7,
-                messages: mappedMessages
-            })
+                tools: requestBody.tools,
+                toolChoice: requestBody.tool_choice
+            }))
         };
 
+        if (requestBody.stream) {
+            return await streamChatCompletionResponse(requestBody, model, bedrockRequest, caller, openStream, vault);
+        }
+
         // Call Bedrock
         const command = new InvokeModelCommand(bedrockRequest);
         const bedrockResponse = await bedrockClient.send(command);
 
         // Parse Bedrock response
         const responseBody = JSON.parse(new TextDecoder().decode(bedrockResponse.body));
-        let llmResponse = responseBody.content[0].text;
+        const completion = model.adapter.parseResponse(responseBody);
+        let llmResponse = completion.text;
 
-        // Scan and redact LLM response
+        // Scan and redact the LLM response and its tool call arguments together; the caller's own secrets are
+        // restored only after the output has been scanned
+        let toolCalls;
         try {
-            const { content: redactedResponse, redactions } = await scanAndRedactWithLogging(llmResponse, "llm_response.txt");
-            
-            if (redactions.length > 0) {
-                console.log('GitGuardian scan found sensitive content in LLM response:', {
-                    redactions
-                });
-                llmResponse = redactedResponse;
-            }
+            ({ text: llmResponse, toolCalls } = await redactCompletion(llmResponse, completion.toolCalls || [], vault, caller.team));
         } catch (error) {
-            console.error('GitGuardian scanning error for LLM response:', error);
-            // Continue processing even if scanning fails
+            if (error instanceof ScanFailedError) {
+                throw error;
+            }
+            logger.error('GitGuardian scanning error for LLM response', { error });
+            // Unscanned output is only returned when the gateway fails open, and unscanned tool calls never
+            handleScanFailure({ error: error.message });
+            if ((completion.toolCalls || []).length > 0) {
+                throw error;
+            }
+            llmResponse = restoreSecrets(llmResponse, vault);
+            toolCalls = [];
         }
 
+        // Token counts come from the response body where the provider reports them, else the invocation headers
+        const usage = toOpenAIUsage(mergeUsage(completion.usage, bedrockResponse.invocationMetrics));
+        const id = `chatcmpl-${Date.now()}`;
+        await recordUsage(caller, id, requestBody.model, model, usage);
+
         // Convert to OpenAI format
         const response = {
-            id: `chatcmpl-${Date.now()}`,
+            id,
             object: "chat.completion",
             created: Math.floor(Date.now() / 1000),
             model: requestBody.model,
             choices: [
                 {
                     index: 0,
-                    message: {
-                        role: "assistant",
-                        content: llmResponse
-                    },
-                    finish_reason: "stop"
+                    message: toolCalls.length > 0
+                        ? { role: "assistant", content: llmResponse || null, tool_calls: toolCalls }
+                        : { role: "assistant", content: llmResponse },
+                    finish_reason: completion.finishReason
                 }
             ],
-            usage: {
-                prompt_tokens: 0, // Bedrock doesn't provide token counts
-                completion_tokens: 0,
-                total_tokens: 0
-            }
+            usage
         };
 
         return {
@@ -330,21 +1343,148 @@ async function processChatCompletion(requestBody) {
             error_message: error.message,
             severity: 'high'
         });
+        if (error instanceof ScanFailedError) {
+            return createScanUnavailableErrorResponse();
+        }
         return createServerErrorResponse(error.name);
     }
 }
 
+/**
+ * Parses the request body of an API Gateway or Function URL event
+ * @param {Object} event - The Lambda event
+ * @returns {Object} The parsed body
+ */
+function parseRequestBody(event) {
+    const raw = event.isBase64Encoded && event.body
+        ? Buffer.from(event.body, 'base64').toString('utf8')
+        : event.body;
+    return JSON.parse(raw || '{}');
+}
+
+// Matches /models and /models/{model}, with or without a /v1 prefix
+const MODELS_PATH = /^(?:\/v1)?\/models(?:\/([^/]+))?\/?$/;
+
+// Matches /usage, with or without a /v1 prefix
+const USAGE_PATH = /^(?:\/v1)?\/usage\/?$/;
+
+/**
+ * Routes GET requests for the models and usage endpoints
+ * @param {Object} event - The Lambda event
+ * @param {Object} [caller] - The caller context, from the API Gateway authorizer by default
+ * @returns {Promise<Object|null>} Response object, or null if the event is not a GET request for either
+ */
+async function routeGetRequest(event, caller = getCallerContext(event)) {
+    const method = event.requestContext && event.requestContext.http
+        ? event.requestContext.http.method
+        : event.httpMethod;
+    if (method !== 'GET') {
+        return null;
+    }
+
+    const path = event.rawPath || event.path || '';
+
+    const modelsMatch = MODELS_PATH.exec(path);
+    if (modelsMatch) {
+        return modelsMatch[1]
+            ? retrieveModel(decodeURIComponent(modelsMatch[1]), caller)
+            : listModels(caller);
+    }
+
+    if (USAGE_PATH.test(path)) {
+        try {
+            return await queryUsage(event.queryStringParameters || {}, caller);
+        } catch (error) {
+            logger.error('Failed to query usage', { error });
+            return createParsingErrorResponse();
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Returns the ID that ties together the log entries of one request: the caller's
+ * X-Correlation-ID header, else the API Gateway request ID, else a new UUID
+ * @param {Object} event - The Lambda event
+ * @returns {string} The correlation ID
+ */
+function getCorrelationId(event) {
+    const headers = event.headers || {};
+    const header = Object.keys(headers).find(name => name.toLowerCase() === 'x-correlation-id');
+    return (header && headers[header])
+        || (event.requestContext && event.requestContext.requestId)
+        || crypto.randomUUID();
+}
+
 /**
  * Lambda handler function
  */
-exports.handler = async (event) => {
+exports.handler = (event) => logging.withContext({ correlation_id: getCorrelationId(event) }, () => handleRequest(event));
+
+/**
+ * Handles a buffered API Gateway request
+ * @param {Object} event - The Lambda event
+ * @returns {Promise<Object>} The API Gateway response
+ */
+async function handleRequest(event) {
+    const getResponse = await routeGetRequest(event);
+    if (getResponse) {
+        return getResponse;
+    }
+
     try {
         // Parse the incoming request body
-        const body = JSON.parse(event.body || '{}');
+        const body = parseRequestBody(event);
         
         // Process the request
-        return await processChatCompletion(body);
+        return await processChatCompletion(body, { caller: getCallerContext(event) });
     } catch (error) {
         return createParsingErrorResponse();
     }
-}; 
\ No newline at end of file
+}
+
+/**
+ * Response streaming handler, for invocation through a Lambda Function URL with
+ * invoke mode RESPONSE_STREAM and AWS_IAM auth. API Gateway buffers responses, so `handler`
+ * returns the SSE events in a single body instead. Function URL requests skip the API Gateway
+ * authorizer, so callers are the IAM principals listed in STREAM_CALLERS, with their context.
+ */
+if (typeof awslambda !== 'undefined' && typeof awslambda.streamifyResponse === 'function') {
+    const streamCallers = createStreamCallerRegistry();
+
+    exports.streamHandler = awslambda.streamifyResponse((event, responseStream) =>
+        logging.withContext({ correlation_id: getCorrelationId(event) }, () => handleStreamRequest(event, responseStream)));
+
+    /**
+     * Handles a Function URL request, writing the response to the stream
+     * @param {Object} event - The Lambda event
+     * @param {Object} responseStream - The Lambda response stream
+     * @returns {Promise<void>}
+     */
+    async function handleStreamRequest(event, responseStream) {
+        let stream = null;
+        const openStream = (statusCode, headers) => {
+            stream = awslambda.HttpResponseStream.from(responseStream, { statusCode, headers });
+            return stream;
+        };
+
+        const caller = streamCallers.resolve(event);
+        let response = caller ? await routeGetRequest(event, caller) : createStreamCallerErrorResponse();
+        if (!response) {
+            try {
+                response = await processChatCompletion(parseRequestBody(event), {
+                    caller,
+                    openStream
+                });
+            } catch (error) {
+                response = createParsingErrorResponse();
+            }
+        }
+
+        if (!stream) {
+            openStream(response.statusCode, response.headers).write(response.body);
+        }
+        stream.end();
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Adapter for Amazon Nova models using the messages-v1 schema
+ */
+
+const { textOf, parseImageDataUrl } = require('../content');
+
+// Mapping of Nova stop reasons to OpenAI finish reasons
+const FINISH_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    content_filtered: 'content_filter'
+};
+
+// Nova accepts base64 image blocks alongside text
+const supportsImages = true;
+
+/**
+ * Converts OpenAI message content to Nova content blocks
+ * @param {string|Array<Object>} content - The message content
+ * @returns {Array<Object>} The content blocks
+ */
+function mapContent(content) {
+    if (!Array.isArray(content)) {
+        return [{ text: content }];
+    }
+    return content.map(part => {
+        if (part.type === 'image_url') {
+            const image = parseImageDataUrl(part.image_url.url);
+            return {
+                image: { format: image.mediaType.replace('image/', ''), source: { bytes: image.data } }
+            };
+        }
+        return { text: part.text };
+    });
+}
+
+/**
+ * Builds the Bedrock request body
+ * @param {Array<Object>} messages - OpenAI-style chat messages
+ * @param {Object} params - Inference parameters (maxTokens, temperature)
+ * @returns {Object} The request body
+ */
+function buildRequestBody(messages, { maxTokens, temperature }) {
+    const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => ({ text: textOf(message.content) }));
+
+    const body = {
+        schemaVersion: "messages-v1",
+        messages: messages
+            .filter(message => message.role !== 'system')
+            .map(message => ({
+                role: message.role,
+                content: mapContent(message.content)
+            })),
+        inferenceConfig: {
+            max_new_tokens: maxTokens,
+            temperature
+        }
+    };
+
+    if (system.length > 0) {
+        body.system = system;
+    }
+    return body;
+}
+
+/**
+ * Extracts the completion from a Bedrock response body
+ * @param {Object} body - The parsed response body
+ * @returns {Object} The completion text, OpenAI finish reason and token usage, when reported
+ */
+function parseResponse(body) {
+    return {
+        text: body.output.message.content.map(block => block.text || '').join(''),
+        finishReason: FINISH_REASONS[body.stopReason] || 'stop',
+        usage: body.usage && {
+            inputTokens: body.usage.inputTokens,
+            outputTokens: body.usage.outputTokens
+        }
+    };
+}
+
+/**
+ * Extracts text and finish reason from a response stream chunk
+ * @param {Object} chunk - The parsed stream chunk
+ * @returns {Object} The text delta and/or OpenAI finish reason, when present
+ */
+function parseStreamChunk(chunk) {
+    if (chunk.contentBlockDelta && chunk.contentBlockDelta.delta) {
+        return { text: chunk.contentBlockDelta.delta.text };
+    }
+    if (chunk.messageStop) {
+        return { finishReason: FINISH_REASONS[chunk.messageStop.stopReason] || 'stop' };
+    }
+    return {};
+}
+
+module.exports = { supportsImages, buildRequestBody, parseResponse, parseStreamChunk };
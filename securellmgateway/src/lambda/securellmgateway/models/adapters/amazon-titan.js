@@ -0,0 +1,67 @@
+/**
+ * Adapter for Amazon Titan Text models, which take a single text prompt
+ */
+
+const { textOf } = require('../content');
+
+// Mapping of Titan completion reasons to OpenAI finish reasons
+const FINISH_REASONS = {
+    FINISH: 'stop',
+    LENGTH: 'length',
+    CONTENT_FILTERED: 'content_filter'
+};
+
+/**
+ * Builds the Bedrock request body
+ * @param {Array<Object>} messages - OpenAI-style chat messages
+ * @param {Object} params - Inference parameters (maxTokens, temperature)
+ * @returns {Object} The request body
+ */
+function buildRequestBody(messages, { maxTokens, temperature }) {
+    // Titan has no roles, so the conversation is rendered as a User/Bot transcript
+    const lines = messages.map(message => {
+        if (message.role === 'system') {
+            return textOf(message.content);
+        }
+        return `${message.role === 'assistant' ? 'Bot' : 'User'}: ${textOf(message.content)}`;
+    });
+
+    return {
+        inputText: `${lines.join('\n')}\nBot:`,
+        textGenerationConfig: {
+            maxTokenCount: maxTokens,
+            temperature
+        }
+    };
+}
+
+/**
+ * Extracts the completion from a Bedrock response body
+ * @param {Object} body - The parsed response body
+ * @returns {Object} The completion text, OpenAI finish reason and token usage, when reported
+ */
+function parseResponse(body) {
+    const [result] = body.results;
+    return {
+        text: result.outputText.trimStart(),
+        finishReason: FINISH_REASONS[result.completionReason] || 'stop',
+        usage: {
+            inputTokens: body.inputTextTokenCount,
+            outputTokens: result.tokenCount
+        }
+    };
+}
+
+/**
+ * Extracts text and finish reason from a response stream chunk
+ * @param {Object} chunk - The parsed stream chunk
+ * @returns {Object} The text delta and/or OpenAI finish reason, when present
+ */
+function parseStreamChunk(chunk) {
+    return {
+        text: chunk.outputText,
+        finishReason: chunk.completionReason ? FINISH_REASONS[chunk.completionReason] || 'stop' : undefined
+    };
+}
+
+module.exports = { buildRequestBody, parseResponse, parseStreamChunk };
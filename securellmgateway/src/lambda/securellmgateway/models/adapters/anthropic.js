@@ -0,0 +1,218 @@
+/**
+ * Adapter for Anthropic Claude models using the Bedrock Messages API
+ */
+
+const { textOf, parseImageDataUrl } = require('../content');
+
+// Mapping of Anthropic stop reasons to OpenAI finish reasons
+const FINISH_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls'
+};
+
+// Claude supports OpenAI-style tool calling through tool_use/tool_result blocks
+const supportsTools = true;
+
+// Claude accepts base64 image blocks alongside text
+const supportsImages = true;
+
+/**
+ * Parses OpenAI tool call arguments into a tool_use input object.
+ * Arguments that are not a JSON object are passed through as a single `arguments` field.
+ * @param {string} args - The JSON-encoded arguments
+ * @returns {Object} The tool input
+ */
+function parseToolArguments(args) {
+    try {
+        const input = JSON.parse(args);
+        if (input && typeof input === 'object' && !Array.isArray(input)) {
+            return input;
+        }
+    } catch (error) {
+        // Fall through to pass the raw arguments on
+    }
+    return { arguments: args };
+}
+
+/**
+ * Converts OpenAI content parts to Anthropic text and image blocks
+ * @param {Array<Object>} parts - OpenAI content parts
+ * @returns {Array<Object>} The content blocks
+ */
+function mapContentParts(parts) {
+    return parts.map(part => {
+        if (part.type === 'image_url') {
+            const image = parseImageDataUrl(part.image_url.url);
+            return {
+                type: 'image',
+                source: { type: 'base64', media_type: image.mediaType, data: image.data }
+            };
+        }
+        return { type: 'text', text: part.text };
+    });
+}
+
+/**
+ * Converts an OpenAI message to an Anthropic message
+ * @param {Object} message - OpenAI-style chat message
+ * @returns {Object} The Anthropic message
+ */
+function mapMessage(message) {
+    // Map 'system' role to 'user' with a prefix, as Bedrock doesn't support 'system' role directly
+    if (message.role === 'system') {
+        return {
+            role: 'user',
+            content: `[System instruction]: ${textOf(message.content)}`
+        };
+    }
+
+    if (message.role === 'tool') {
+        return {
+            role: 'user',
+            content: [{
+                type: 'tool_result',
+                tool_use_id: message.tool_call_id,
+                content: textOf(message.content)
+            }]
+        };
+    }
+
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+        const text = textOf(message.content);
+        const content = text ? [{ type: 'text', text }] : [];
+        for (const toolCall of message.tool_calls) {
+            content.push({
+                type: 'tool_use',
+                id: toolCall.id,
+                name: toolCall.function.name,
+                input: parseToolArguments(toolCall.function.arguments)
+            });
+        }
+        return { role: 'assistant', content };
+    }
+
+    if (Array.isArray(message.content)) {
+        return { role: message.role, content: mapContentParts(message.content) };
+    }
+
+    return { role: message.role, content: message.content };
+}
+
+/**
+ * Converts an OpenAI tool_choice to an Anthropic tool_choice
+ * @param {string|Object} toolChoice - The OpenAI tool_choice
+ * @returns {Object|undefined} The Anthropic tool_choice, or undefined for the default
+ */
+function mapToolChoice(toolChoice) {
+    if (toolChoice === 'required') {
+        return { type: 'any' };
+    }
+    if (toolChoice && typeof toolChoice === 'object' && toolChoice.function) {
+        return { type: 'tool', name: toolChoice.function.name };
+    }
+    if (toolChoice === 'auto') {
+        return { type: 'auto' };
+    }
+    return undefined;
+}
+
+/**
+ * Builds the Bedrock request body
+ * @param {Array<Object>} messages - OpenAI-style chat messages
+ * @param {Object} params - Inference parameters (maxTokens, temperature, tools, toolChoice)
+ * @returns {Object} The request body
+ */
+function buildRequestBody(messages, { maxTokens, temperature, tools, toolChoice }) {
+    const mappedMessages = [];
+    for (const message of messages.map(mapMessage)) {
+        // Consecutive tool results must be sent together in a single user turn
+        const previous = mappedMessages[mappedMessages.length - 1];
+        const isToolResult = Array.isArray(message.content) && message.content[0].type === 'tool_result';
+        const previousIsToolResult = previous && Array.isArray(previous.content)
+            && previous.content.every(block => block.type === 'tool_result');
+        if (isToolResult && previousIsToolResult) {
+            previous.content.push(...message.content);
+        } else {
+            mappedMessages.push(message);
+        }
+    }
+
+    const body = {
+        anthropic_version: "bedrock-2023-05-31",
+        max_tokens: maxTokens,
+        temperature,
+        messages: mappedMessages
+    };
+
+    // tool_choice "none" is honoured by not offering the tools at all
+    if (Array.isArray(tools) && tools.length > 0 && toolChoice !== 'none') {
+        body.tools = tools.map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description,
+            input_schema: tool.function.parameters || { type: 'object', properties: {} }
+        }));
+        const mappedToolChoice = mapToolChoice(toolChoice);
+        if (mappedToolChoice) {
+            body.tool_choice = mappedToolChoice;
+        }
+    }
+
+    return body;
+}
+
+/**
+ * Extracts the completion from a Bedrock response body
+ * @param {Object} body - The parsed response body
+ * @returns {Object} The completion text, tool calls, OpenAI finish reason and token usage, when reported
+ */
+function parseResponse(body) {
+    const blocks = body.content || [];
+    return {
+        text: blocks.filter(block => typeof block.text === 'string').map(block => block.text).join(''),
+        toolCalls: blocks
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input) })),
+        finishReason: FINISH_REASONS[body.stop_reason] || 'stop',
+        usage: body.usage && {
+            inputTokens: body.usage.input_tokens,
+            outputTokens: body.usage.output_tokens
+        }
+    };
+}
+
+/**
+ * Extracts text, tool call fragments and finish reason from a response stream chunk
+ * @param {Object} chunk - The parsed stream chunk
+ * @returns {Object} The text delta, tool call delta, OpenAI finish reason and/or token usage, when present
+ */
+function parseStreamChunk(chunk) {
+    if (chunk.type === 'message_start' && chunk.message && chunk.message.usage) {
+        return { usage: { inputTokens: chunk.message.usage.input_tokens } };
+    }
+    if (chunk.type === 'content_block_start' && chunk.content_block && chunk.content_block.type === 'tool_use') {
+        return {
+            toolCallDelta: { block: chunk.index, id: chunk.content_block.id, name: chunk.content_block.name }
+        };
+    }
+    if (chunk.type === 'content_block_delta' && chunk.delta && chunk.delta.type === 'input_json_delta') {
+        return {
+            toolCallDelta: { block: chunk.index, arguments: chunk.delta.partial_json }
+        };
+    }
+    if (chunk.type === 'content_block_delta' && chunk.delta) {
+        return { text: chunk.delta.text };
+    }
+    if (chunk.type === 'message_delta') {
+        return {
+            finishReason: chunk.delta && chunk.delta.stop_reason
+                ? FINISH_REASONS[chunk.delta.stop_reason] || 'stop'
+                : undefined,
+            usage: chunk.usage && { outputTokens: chunk.usage.output_tokens }
+        };
+    }
+    return {};
+}
+
+module.exports = { supportsTools, supportsImages, buildRequestBody, parseResponse, parseStreamChunk };
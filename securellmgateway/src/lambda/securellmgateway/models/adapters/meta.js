@@ -0,0 +1,67 @@
+/**
+ * Adapter for Meta Llama 3 instruct models, which take a templated text prompt
+ */
+
+const { textOf } = require('../content');
+
+// Mapping of Llama stop reasons to OpenAI finish reasons
+const FINISH_REASONS = {
+    stop: 'stop',
+    length: 'length'
+};
+
+/**
+ * Renders chat messages with the Llama 3 instruct prompt template
+ * @param {Array<Object>} messages - OpenAI-style chat messages
+ * @returns {string} The prompt
+ */
+function renderPrompt(messages) {
+    const turns = messages.map(message =>
+        `<|start_header_id|>${message.role}<|end_header_id|>\n\n${textOf(message.content)}<|eot_id|>`
+    );
+    return `<|begin_of_text|>${turns.join('')}<|start_header_id|>assistant<|end_header_id|>\n\n`;
+}
+
+/**
+ * Builds the Bedrock request body
+ * @param {Array<Object>} messages - OpenAI-style chat messages
+ * @param {Object} params - Inference parameters (maxTokens, temperature)
+ * @returns {Object} The request body
+ */
+function buildRequestBody(messages, { maxTokens, temperature }) {
+    return {
+        prompt: renderPrompt(messages),
+        max_gen_len: maxTokens,
+        temperature
+    };
+}
+
+/**
+ * Extracts the completion from a Bedrock response body
+ * @param {Object} body - The parsed response body
+ * @returns {Object} The completion text, OpenAI finish reason and token usage, when reported
+ */
+function parseResponse(body) {
+    return {
+        text: body.generation,
+        finishReason: FINISH_REASONS[body.stop_reason] || 'stop',
+        usage: {
+            inputTokens: body.prompt_token_count,
+            outputTokens: body.generation_token_count
+        }
+    };
+}
+
+/**
+ * Extracts text and finish reason from a response stream chunk
+ * @param {Object} chunk - The parsed stream chunk
+ * @returns {Object} The text delta and/or OpenAI finish reason, when present
+ */
+function parseStreamChunk(chunk) {
+    return {
+        text: chunk.generation,
+        finishReason: chunk.stop_reason ? FINISH_REASONS[chunk.stop_reason] || 'stop' : undefined
+    };
+}
+
+module.exports = { buildRequestBody, parseResponse, parseStreamChunk };
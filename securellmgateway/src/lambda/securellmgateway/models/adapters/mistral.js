@@ -0,0 +1,85 @@
+/**
+ * Adapter for Mistral instruct models, which take an [INST]-templated text prompt
+ */
+
+const { textOf } = require('../content');
+
+// Mapping of Mistral stop reasons to OpenAI finish reasons
+const FINISH_REASONS = {
+    stop: 'stop',
+    length: 'length'
+};
+
+/**
+ * Renders chat messages with the Mistral instruct prompt template.
+ * Mistral has no system role, so system messages are prepended to the next user turn.
+ * @param {Array<Object>} messages - OpenAI-style chat messages
+ * @returns {string} The prompt
+ */
+function renderPrompt(messages) {
+    let prompt = '<s>';
+    let pendingSystem = [];
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            pendingSystem.push(textOf(message.content));
+        } else if (message.role === 'assistant') {
+            prompt += `${textOf(message.content)}</s>`;
+        } else {
+            const instruction = [...pendingSystem, textOf(message.content)].join('\n\n');
+            prompt += `[INST] ${instruction} [/INST]`;
+            pendingSystem = [];
+        }
+    }
+
+    if (pendingSystem.length > 0) {
+        prompt += `[INST] ${pendingSystem.join('\n\n')} [/INST]`;
+    }
+    return prompt;
+}
+
+/**
+ * Builds the Bedrock request body
+ * @param {Array<Object>} messages - OpenAI-style chat messages
+ * @param {Object} params - Inference parameters (maxTokens, temperature)
+ * @returns {Object} The request body
+ */
+function buildRequestBody(messages, { maxTokens, temperature }) {
+    return {
+        prompt: renderPrompt(messages),
+        max_tokens: maxTokens,
+        temperature
+    };
+}
+
+/**
+ * Extracts the completion from a Bedrock response body.
+ * Mistral reports no token counts in the body, so usage comes from the invocation headers.
+ * @param {Object} body - The parsed response body
+ * @returns {Object} The completion text and OpenAI finish reason
+ */
+function parseResponse(body) {
+    const [output] = body.outputs;
+    return {
+        text: output.text,
+        finishReason: FINISH_REASONS[output.stop_reason] || 'stop'
+    };
+}
+
+/**
+ * Extracts text and finish reason from a response stream chunk
+ * @param {Object} chunk - The parsed stream chunk
+ * @returns {Object} The text delta and/or OpenAI finish reason, when present
+ */
+function parseStreamChunk(chunk) {
+    const [output] = chunk.outputs || [];
+    if (!output) {
+        return {};
+    }
+    return {
+        text: output.text,
+        finishReason: output.stop_reason ? FINISH_REASONS[output.stop_reason] || 'stop' : undefined
+    };
+}
+
+module.exports = { buildRequestBody, parseResponse, parseStreamChunk };
@@ -0,0 +1,52 @@
+/**
+ * Helpers for OpenAI message content, which is either a string or an array of content parts
+ */
+
+// Matches base64 image data URLs, e.g. data:image/png;base64,iVBOR...
+const DATA_URL_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=\s]*)$/i;
+
+/**
+ * Returns the text of message content, joining the text parts of a content-part array
+ * @param {string|Array<Object>|null} content - The message content
+ * @returns {string} The text
+ */
+function textOf(content) {
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+    return content || '';
+}
+
+/**
+ * Checks whether message content includes image parts
+ * @param {string|Array<Object>|null} content - The message content
+ * @returns {boolean} Whether there is at least one image_url part
+ */
+function hasImages(content) {
+    return Array.isArray(content) && content.some(part => part.type === 'image_url');
+}
+
+/**
+ * Parses a base64 image data URL
+ * @param {string} url - The image URL
+ * @returns {Object|null} The media type, base64 data and decoded size in bytes, or null if not a data URL
+ */
+function parseImageDataUrl(url) {
+    const match = DATA_URL_PATTERN.exec(url || '');
+    if (!match) {
+        return null;
+    }
+
+    const data = match[2].replace(/\s/g, '');
+    const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+    return {
+        mediaType: match[1].toLowerCase(),
+        data,
+        size: Math.floor(data.length * 3 / 4) - padding
+    };
+}
+
+module.exports = { textOf, hasImages, parseImageDataUrl };
@@ -0,0 +1,96 @@
+/**
+ * Model registry mapping OpenAI-style model names to Bedrock models and provider adapters
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Request/response adapters for each supported Bedrock provider
+const ADAPTERS = {
+    'anthropic': require('./adapters/anthropic'),
+    'amazon-titan': require('./adapters/amazon-titan'),
+    'amazon-nova': require('./adapters/amazon-nova'),
+    'meta': require('./adapters/meta'),
+    'mistral': require('./adapters/mistral')
+};
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'models.json');
+
+/**
+ * Reads the registry configuration.
+ * MODEL_REGISTRY (inline JSON) takes precedence over MODEL_REGISTRY_PATH (a JSON file),
+ * which takes precedence over the bundled models.json.
+ * @returns {Object} The registry configuration
+ */
+function readModelConfig() {
+    if (process.env.MODEL_REGISTRY) {
+        return JSON.parse(process.env.MODEL_REGISTRY);
+    }
+    const configPath = process.env.MODEL_REGISTRY_PATH || DEFAULT_CONFIG_PATH;
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * Builds a model registry from configuration
+ * @param {Object} [config] - Registry configuration with `models` and optional `aliases`
+ * @returns {Object} Registry with resolve(name), names() and isAllowed(name, allowedModels)
+ */
+function createModelRegistry(config = readModelConfig()) {
+    const models = Object.create(null);
+    for (const [id, model] of Object.entries(config.models || {})) {
+        const adapter = ADAPTERS[model.provider];
+        if (!adapter) {
+            throw new Error(`Model ${id} has unknown provider "${model.provider}". Known providers: ${Object.keys(ADAPTERS).join(', ')}`);
+        }
+        models[id] = {
+            id,
+            provider: model.provider,
+            bedrockName: model.bedrockName || id,
+            created: model.created || 0,
+            adapter
+        };
+    }
+
+    const aliases = Object.create(null);
+    for (const [alias, target] of Object.entries(config.aliases || {})) {
+        if (!models[target]) {
+            throw new Error(`Alias ${alias} refers to unknown model ${target}`);
+        }
+        aliases[alias] = target;
+    }
+
+    return {
+        /**
+         * Resolves a requested model name, following aliases
+         * @param {string} name - The model name from the request
+         * @returns {Object|null} The model entry, or null if unsupported
+         */
+        resolve(name) {
+            return models[aliases[name] || name] || null;
+        },
+
+        /**
+         * Lists every accepted model name, including aliases
+         * @returns {Array<string>} Model names
+         */
+        names() {
+            return [...Object.keys(models), ...Object.keys(aliases)];
+        },
+
+        /**
+         * Checks a model name against a caller's allowlist.
+         * An alias is only allowed when the alias itself, or the model it refers to, is listed.
+         * @param {string} name - The model name from the request
+         * @param {Array<string>|null} allowedModels - The allowlist, or null to allow everything
+         * @returns {boolean} Whether the caller may use the model
+         */
+        isAllowed(name, allowedModels) {
+            if (!allowedModels || allowedModels.includes('*')) {
+                return true;
+            }
+            return allowedModels.includes(name) || allowedModels.includes(aliases[name]);
+        }
+    };
+}
+
+module.exports = { ADAPTERS, readModelConfig, createModelRegistry };
@@ -0,0 +1,236 @@
+const { ADAPTERS, readModelConfig, createModelRegistry } = require('./');
+const { parseImageDataUrl } = require('./content');
+
+const messages = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'Hello' },
+  { role: 'assistant', content: 'Hi!' },
+  { role: 'user', content: 'How are you?' }
+];
+const params = { maxTokens: 100, temperature: 0.5 };
+
+describe('Model registry', () => {
+  const config = {
+    models: {
+      'anthropic.claude-3-sonnet-20240229-v1:0': { provider: 'anthropic', bedrockName: 'anthropic.claude-3-sonnet-20240229-v1:0' },
+      'llama': { provider: 'meta', bedrockName: 'meta.llama3-8b-instruct-v1:0' }
+    },
+    aliases: {
+      'gpt-4o': 'anthropic.claude-3-sonnet-20240229-v1:0'
+    }
+  };
+
+  afterEach(() => {
+    delete process.env.MODEL_REGISTRY;
+  });
+
+  test('should resolve configured models with their adapter', () => {
+    const model = createModelRegistry(config).resolve('llama');
+
+    expect(model.bedrockName).toBe('meta.llama3-8b-instruct-v1:0');
+    expect(model.provider).toBe('meta');
+    expect(model.adapter).toBe(ADAPTERS.meta);
+  });
+
+  test('should resolve aliases to their target model', () => {
+    const model = createModelRegistry(config).resolve('gpt-4o');
+
+    expect(model.id).toBe('anthropic.claude-3-sonnet-20240229-v1:0');
+    expect(model.adapter).toBe(ADAPTERS.anthropic);
+  });
+
+  test('should return null for unknown models', () => {
+    const registry = createModelRegistry(config);
+
+    expect(registry.resolve('gpt-4')).toBeNull();
+    expect(registry.resolve('constructor')).toBeNull();
+  });
+
+  test('should list models and aliases', () => {
+    expect(createModelRegistry(config).names()).toEqual([
+      'anthropic.claude-3-sonnet-20240229-v1:0', 'llama', 'gpt-4o'
+    ]);
+  });
+
+  test('should check names against an allowlist', () => {
+    const registry = createModelRegistry(config);
+
+    expect(registry.isAllowed('llama', null)).toBe(true);
+    expect(registry.isAllowed('llama', ['*'])).toBe(true);
+    expect(registry.isAllowed('llama', ['gpt-4o'])).toBe(false);
+    expect(registry.isAllowed('gpt-4o', ['anthropic.claude-3-sonnet-20240229-v1:0'])).toBe(true);
+    expect(registry.isAllowed('anthropic.claude-3-sonnet-20240229-v1:0', ['gpt-4o'])).toBe(false);
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createModelRegistry({ models: { x: { provider: 'openai' } } }))
+      .toThrow(/unknown provider "openai"/);
+  });
+
+  test('should reject aliases to unknown models', () => {
+    expect(() => createModelRegistry({ models: {}, aliases: { 'gpt-4o': 'missing' } }))
+      .toThrow(/Alias gpt-4o refers to unknown model missing/);
+  });
+
+  test('should read inline configuration from MODEL_REGISTRY', () => {
+    process.env.MODEL_REGISTRY = JSON.stringify(config);
+
+    expect(readModelConfig()).toEqual(config);
+  });
+
+  test('should load the bundled configuration by default', () => {
+    const registry = createModelRegistry();
+
+    expect(registry.resolve('anthropic.claude-3-sonnet-20240229-v1:0')).not.toBeNull();
+    expect(registry.resolve('gpt-4o')).not.toBeNull();
+  });
+});
+
+describe('Provider adapters', () => {
+  test('anthropic should map system messages to prefixed user messages', () => {
+    const body = ADAPTERS.anthropic.buildRequestBody(messages, params);
+
+    expect(body.anthropic_version).toBe('bedrock-2023-05-31');
+    expect(body.max_tokens).toBe(100);
+    expect(body.messages[0]).toEqual({ role: 'user', content: '[System instruction]: Be brief.' });
+    expect(ADAPTERS.anthropic.parseResponse({
+      content: [{ text: 'ok' }],
+      stop_reason: 'max_tokens',
+      usage: { input_tokens: 8, output_tokens: 2 }
+    })).toEqual({ text: 'ok', toolCalls: [], finishReason: 'length', usage: { inputTokens: 8, outputTokens: 2 } });
+  });
+
+  test('anthropic should translate tools, tool calls and tool results', () => {
+    const body = ADAPTERS.anthropic.buildRequestBody([
+      { role: 'user', content: 'Weather in Paris and Rome?' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [
+          { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+          { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+      { role: 'tool', tool_call_id: 'call_2', content: 'Rainy' }
+    ], {
+      ...params,
+      tools: [{
+        type: 'function',
+        function: { name: 'get_weather', description: 'Gets the weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+      }],
+      toolChoice: { type: 'function', function: { name: 'get_weather' } }
+    });
+
+    expect(body.tools).toEqual([{
+      name: 'get_weather',
+      description: 'Gets the weather',
+      input_schema: { type: 'object', properties: { city: { type: 'string' } } }
+    }]);
+    expect(body.tool_choice).toEqual({ type: 'tool', name: 'get_weather' });
+    expect(body.messages.length).toBe(3);
+    expect(body.messages[1].content).toEqual([
+      { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } },
+      { type: 'tool_use', id: 'call_2', name: 'get_weather', input: { city: 'Rome' } }
+    ]);
+    expect(body.messages[2]).toEqual({
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'call_1', content: 'Sunny' },
+        { type: 'tool_result', tool_use_id: 'call_2', content: 'Rainy' }
+      ]
+    });
+  });
+
+  test('anthropic should drop tools when tool_choice is none', () => {
+    const body = ADAPTERS.anthropic.buildRequestBody(messages, {
+      ...params,
+      tools: [{ type: 'function', function: { name: 'get_weather' } }],
+      toolChoice: 'none'
+    });
+
+    expect(body.tools).toBeUndefined();
+    expect(body.tool_choice).toBeUndefined();
+  });
+
+  test('anthropic should map tool_use blocks back to tool calls', () => {
+    const completion = ADAPTERS.anthropic.parseResponse({
+      content: [
+        { type: 'text', text: 'Checking.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+      ],
+      stop_reason: 'tool_use'
+    });
+
+    expect(completion.text).toBe('Checking.');
+    expect(completion.toolCalls).toEqual([{ id: 'toolu_1', name: 'get_weather', arguments: '{"city":"Paris"}' }]);
+    expect(completion.finishReason).toBe('tool_calls');
+    expect(ADAPTERS.anthropic.parseStreamChunk({
+      type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"ci' }
+    })).toEqual({ toolCallDelta: { block: 1, arguments: '{"ci' } });
+  });
+
+  test('amazon-titan should render a transcript prompt', () => {
+    const body = ADAPTERS['amazon-titan'].buildRequestBody(messages, params);
+
+    expect(body.inputText).toBe('Be brief.\nUser: Hello\nBot: Hi!\nUser: How are you?\nBot:');
+    expect(body.textGenerationConfig).toEqual({ maxTokenCount: 100, temperature: 0.5 });
+    expect(ADAPTERS['amazon-titan'].parseResponse({
+      inputTextTokenCount: 8,
+      results: [{ outputText: ' Fine.', tokenCount: 2, completionReason: 'FINISH' }]
+    })).toEqual({ text: 'Fine.', finishReason: 'stop', usage: { inputTokens: 8, outputTokens: 2 } });
+  });
+
+  test('amazon-nova should use native system prompts and content blocks', () => {
+    const body = ADAPTERS['amazon-nova'].buildRequestBody(messages, params);
+
+    expect(body.schemaVersion).toBe('messages-v1');
+    expect(body.system).toEqual([{ text: 'Be brief.' }]);
+    expect(body.messages[0]).toEqual({ role: 'user', content: [{ text: 'Hello' }] });
+    expect(body.inferenceConfig).toEqual({ max_new_tokens: 100, temperature: 0.5 });
+    expect(ADAPTERS['amazon-nova'].parseStreamChunk({ contentBlockDelta: { delta: { text: 'Fi' } } }))
+      .toEqual({ text: 'Fi' });
+    expect(ADAPTERS['amazon-nova'].parseStreamChunk({ messageStop: { stopReason: 'max_tokens' } }))
+      .toEqual({ finishReason: 'length' });
+  });
+
+  test('amazon-nova should map image parts to image blocks', () => {
+    const body = ADAPTERS['amazon-nova'].buildRequestBody([{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'Describe this' },
+        { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/4A==' } }
+      ]
+    }], params);
+
+    expect(body.messages[0].content).toEqual([
+      { text: 'Describe this' },
+      { image: { format: 'jpeg', source: { bytes: '/9j/4A==' } } }
+    ]);
+    expect(parseImageDataUrl('data:image/jpeg;base64,/9j/4A==')).toEqual({ mediaType: 'image/jpeg', data: '/9j/4A==', size: 4 });
+    expect(parseImageDataUrl('https://example.com/cat.png')).toBeNull();
+  });
+
+  test('meta should render the Llama 3 prompt template', () => {
+    const body = ADAPTERS.meta.buildRequestBody(messages, params);
+
+    expect(body.prompt.startsWith('<|begin_of_text|><|start_header_id|>system<|end_header_id|>\n\nBe brief.<|eot_id|>')).toBe(true);
+    expect(body.prompt.endsWith('<|start_header_id|>assistant<|end_header_id|>\n\n')).toBe(true);
+    expect(body.max_gen_len).toBe(100);
+    expect(ADAPTERS.meta.parseResponse({
+      generation: 'Fine.',
+      prompt_token_count: 8,
+      generation_token_count: 2,
+      stop_reason: 'length'
+    })).toEqual({ text: 'Fine.', finishReason: 'length', usage: { inputTokens: 8, outputTokens: 2 } });
+  });
+
+  test('mistral should fold system messages into the next instruction', () => {
+    const body = ADAPTERS.mistral.buildRequestBody(messages, params);
+
+    expect(body.prompt).toBe('<s>[INST] Be brief.\n\nHello [/INST]Hi!</s>[INST] How are you? [/INST]');
+    expect(body.max_tokens).toBe(100);
+    expect(ADAPTERS.mistral.parseStreamChunk({ outputs: [{ text: 'Fine', stop_reason: 'stop' }] }))
+      .toEqual({ text: 'Fine', finishReason: 'stop' });
+  });
+});
@@ -0,0 +1,59 @@
+const { GetItemCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+
+/**
+ * Shared store for the scan result cache (see createScanCache in secure-llm-libs), in DynamoDB.
+ *
+ * Items are keyed by `content_hash` and carry an `expires_at` attribute in epoch seconds for
+ * DynamoDB TTL. TTL deletes items lazily, so the cache also checks the expiry itself.
+ */
+
+/**
+ * Creates a scan cache store
+ * @param {Object} dynamoClient - A DynamoDBClient
+ * @param {string} tableName - The cache table name
+ * @returns {Object} Store with get(key) and set(key, result, expiresAt)
+ */
+function createScanCacheStore(dynamoClient, tableName) {
+    return {
+        /**
+         * Reads a cached scan result
+         * @param {string} key - The content hash
+         * @returns {Promise<Object|undefined>} The result and its expiry in milliseconds, if stored
+         */
+        async get(key) {
+            const command = new GetItemCommand({
+                TableName: tableName,
+                Key: { content_hash: { S: key } }
+            });
+            const response = await dynamoClient.send(command);
+            if (!response.Item) {
+                return undefined;
+            }
+            return {
+                result: JSON.parse(response.Item.result.S),
+                expiresAt: Number(response.Item.expires_at.N) * 1000
+            };
+        },
+
+        /**
+         * Stores a scan result
+         * @param {string} key - The content hash
+         * @param {Object} result - The scan result, without matched values
+         * @param {number} expiresAt - When the result expires, in milliseconds since the epoch
+         * @returns {Promise<void>}
+         */
+        async set(key, result, expiresAt) {
+            const command = new PutItemCommand({
+                TableName: tableName,
+                Item: {
+                    content_hash: { S: key },
+                    result: { S: JSON.stringify(result) },
+                    expires_at: { N: String(Math.floor(expiresAt / 1000)) }
+                }
+            });
+            await dynamoClient.send(command);
+        }
+    };
+}
+
+module.exports = { createScanCacheStore };
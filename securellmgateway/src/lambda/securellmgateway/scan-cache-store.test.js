@@ -0,0 +1,46 @@
+const { DynamoDBClient, GetItemCommand, PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { mockClient } = require('aws-sdk-client-mock');
+const { createScanCacheStore } = require('./scan-cache-store');
+
+const dynamoMock = mockClient(DynamoDBClient);
+
+const result = { policy_breaks: [{ type: 'AWS Keys', matches: [{ index_start: 0, index_end: 19 }] }] };
+
+describe('Scan cache store', () => {
+  beforeEach(() => {
+    dynamoMock.reset();
+  });
+
+  test('should store results keyed by content hash with a TTL in seconds', async () => {
+    dynamoMock.on(PutItemCommand).resolves({});
+    const store = createScanCacheStore(new DynamoDBClient(), 'scan-cache');
+
+    await store.set('abc123', result, 1760000000500);
+
+    const { input } = dynamoMock.commandCalls(PutItemCommand)[0].args[0];
+    expect(input.TableName).toBe('scan-cache');
+    expect(input.Item.content_hash).toEqual({ S: 'abc123' });
+    expect(JSON.parse(input.Item.result.S)).toEqual(result);
+    expect(input.Item.expires_at).toEqual({ N: '1760000000' });
+  });
+
+  test('should read stored results', async () => {
+    dynamoMock.on(GetItemCommand, { TableName: 'scan-cache', Key: { content_hash: { S: 'abc123' } } }).resolves({
+      Item: {
+        content_hash: { S: 'abc123' },
+        result: { S: JSON.stringify(result) },
+        expires_at: { N: '1760000000' }
+      }
+    });
+    const store = createScanCacheStore(new DynamoDBClient(), 'scan-cache');
+
+    await expect(store.get('abc123')).resolves.toEqual({ result, expiresAt: 1760000000000 });
+  });
+
+  test('should return undefined for unknown keys', async () => {
+    dynamoMock.on(GetItemCommand).resolves({});
+    const store = createScanCacheStore(new DynamoDBClient(), 'scan-cache');
+
+    await expect(store.get('missing')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Callers of the response streaming Function URL.
+ *
+ * The Function URL uses AWS_IAM auth, so its requests are signed by an IAM principal but do not
+ * pass through the API Gateway authorizer that supplies the caller context (team and allowed
+ * models). STREAM_CALLERS supplies that context instead, keyed by IAM user or role ARN; a role
+ * matches every session of it. Requests from principals that are not listed are refused.
+ *
+ * {
+ *   "arn:aws:iam::123456789012:role/chat-app": {
+ *     "principalId": "chat-app",
+ *     "team": "platform",
+ *     "allowedModels": "anthropic.claude-3-sonnet-20240229-v1:0"
+ *   }
+ * }
+ */
+
+// arn:aws:iam::<account>:role/<path/><name>
+const ROLE_ARN = /^arn:aws[\w-]*:iam::(\d+):role\/(?:.*\/)?([^/]+)$/;
+// arn:aws:sts::<account>:assumed-role/<name>/<session>
+const ASSUMED_ROLE_ARN = /^arn:aws[\w-]*:sts::(\d+):assumed-role\/([^/]+)\/[^/]+$/;
+
+/**
+ * Reads the stream callers from the environment
+ * @returns {Object} Caller contexts keyed by IAM ARN, from STREAM_CALLERS (as JSON)
+ */
+function readStreamCallers() {
+    return process.env.STREAM_CALLERS ? JSON.parse(process.env.STREAM_CALLERS) : {};
+}
+
+/**
+ * Returns the identity an IAM ARN is matched by: roles by account and name, so that a role ARN
+ * matches the ARNs of its sessions, and anything else by its ARN
+ * @param {string} arn - An IAM user, role or assumed role ARN
+ * @returns {string} The identity
+ */
+function identityOf(arn) {
+    const role = ROLE_ARN.exec(arn) || ASSUMED_ROLE_ARN.exec(arn);
+    return role ? `role:${role[1]}:${role[2]}` : arn;
+}
+
+/**
+ * Creates the registry of stream callers
+ * @param {Object} [callers] - Caller contexts keyed by IAM ARN, each with principalId, allowedModels
+ *   (comma-separated, '*' for all) and optionally team and scope; read from the environment when omitted
+ * @returns {Object} Registry with resolve(event), returning the caller context of a signed request, or
+ *   null when its principal is not a stream caller
+ * @throws {Error} When a caller has no principalId or allowedModels
+ */
+function createStreamCallerRegistry(callers = readStreamCallers()) {
+    const byIdentity = new Map();
+    for (const [arn, caller] of Object.entries(callers)) {
+        if (!caller.principalId || typeof caller.allowedModels !== 'string') {
+            throw new Error(`Stream caller ${arn} needs a principalId and allowedModels`);
+        }
+        byIdentity.set(identityOf(arn), {
+            principalId: caller.principalId,
+            scope: caller.scope || null,
+            team: caller.team || null,
+            allowedModels: caller.allowedModels.split(',').map(name => name.trim()).filter(Boolean)
+        });
+    }
+
+    return {
+        resolve(event) {
+            const iam = ((event.requestContext || {}).authorizer || {}).iam;
+            if (!iam || !iam.userArn) {
+                return null;
+            }
+            return byIdentity.get(identityOf(iam.userArn)) || null;
+        }
+    };
+}
+
+module.exports = { readStreamCallers, createStreamCallerRegistry };
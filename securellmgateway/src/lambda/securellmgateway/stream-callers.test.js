@@ -0,0 +1,49 @@
+const { readStreamCallers, createStreamCallerRegistry } = require('./stream-callers');
+
+// A Function URL event signed by an IAM principal
+const signedBy = (userArn) => ({ requestContext: { authorizer: { iam: { accountId: '123456789012', userArn } } } });
+
+describe('Stream callers', () => {
+  afterEach(() => {
+    delete process.env.STREAM_CALLERS;
+  });
+
+  const registry = createStreamCallerRegistry({
+    'arn:aws:iam::123456789012:role/service/chat-app': {
+      principalId: 'chat-app',
+      team: 'platform',
+      allowedModels: 'claude-3-sonnet, gpt-4o'
+    },
+    'arn:aws:iam::123456789012:user/alice': { principalId: 'alice', allowedModels: '*' }
+  });
+
+  test('should resolve the sessions of a listed role to its caller context', () => {
+    expect(registry.resolve(signedBy('arn:aws:sts::123456789012:assumed-role/chat-app/session-1'))).toEqual({
+      principalId: 'chat-app',
+      scope: null,
+      team: 'platform',
+      allowedModels: ['claude-3-sonnet', 'gpt-4o']
+    });
+    expect(registry.resolve(signedBy('arn:aws:iam::123456789012:user/alice')).allowedModels).toEqual(['*']);
+  });
+
+  test('should refuse unsigned requests and principals that are not listed', () => {
+    expect(registry.resolve({})).toBeNull();
+    expect(registry.resolve({ requestContext: { authorizer: { lambda: { principalId: 'user123' } } } })).toBeNull();
+    expect(registry.resolve(signedBy('arn:aws:sts::999999999999:assumed-role/chat-app/session-1'))).toBeNull();
+    expect(registry.resolve(signedBy('arn:aws:iam::123456789012:user/bob'))).toBeNull();
+  });
+
+  test('should require a principal and allowed models for every caller', () => {
+    expect(() => createStreamCallerRegistry({ 'arn:aws:iam::123456789012:user/bob': { principalId: 'bob' } }))
+      .toThrow('Stream caller arn:aws:iam::123456789012:user/bob needs a principalId and allowedModels');
+  });
+
+  test('should read the callers from STREAM_CALLERS', () => {
+    expect(readStreamCallers()).toEqual({});
+
+    process.env.STREAM_CALLERS = JSON.stringify({ 'arn:aws:iam::123456789012:user/alice': { principalId: 'alice', allowedModels: '*' } });
+
+    expect(createStreamCallerRegistry().resolve(signedBy('arn:aws:iam::123456789012:user/alice')).principalId).toBe('alice');
+  });
+});
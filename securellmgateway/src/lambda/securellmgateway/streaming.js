@@ -0,0 +1,211 @@
+const { gitguardian_wrapper } = require('secure-llm-libs');
+const { redactSensitiveContent } = gitguardian_wrapper;
+
+// Headers for OpenAI-style server-sent event responses
+const SSE_HEADERS = {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive"
+};
+
+/**
+ * Formats a payload as a server-sent event
+ * @param {Object|string} payload - The chunk object, or a raw string such as "[DONE]"
+ * @returns {string} The SSE-framed event
+ */
+function formatSseEvent(payload) {
+    const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return `data: ${data}\n\n`;
+}
+
+/**
+ * Flattens the matches of a scan result, converting them to [start, end) ranges
+ * @param {Object} scanResult - The GitGuardian scan result
+ * @returns {Array<Object>} Matches with start/end positions
+ */
+function matchRanges(scanResult) {
+    return (scanResult.policy_breaks || []).flatMap(policyBreak =>
+        (policyBreak.matches || [])
+            .filter(match => match.index_start !== undefined && match.index_end !== undefined)
+            .map(match => ({ start: match.index_start, end: match.index_end + 1 }))
+    );
+}
+
+/**
+ * Keeps only the policy break matches that end before the cut point
+ * @param {Object} scanResult - The GitGuardian scan result
+ * @param {number} cut - The position text is being released up to
+ * @returns {Array<Object>} Policy breaks restricted to the released text
+ */
+function policyBreaksBefore(scanResult, cut) {
+    return (scanResult.policy_breaks || [])
+        .map(policyBreak => ({
+            ...policyBreak,
+            matches: (policyBreak.matches || []).filter(match =>
+                match.index_end !== undefined && match.index_end + 1 <= cut
+            )
+        }))
+        .filter(policyBreak => policyBreak.matches.length > 0);
+}
+
+// Trailing characters withheld by default: 4 KB, as text chunks overlap when scanned (see chunkText),
+// so a secret shorter than that is always seen whole before any part of it is released
+const DEFAULT_HOLDBACK = 4 * 1024;
+
+// Private keys can be longer than any holdback, so text from an unterminated PEM header is withheld
+const PEM_BEGIN = '-----BEGIN';
+const PEM_END = '-----END';
+
+/**
+ * Returns where an unterminated PEM block starts in the text
+ * @param {string} text - The buffered text
+ * @returns {number} The position of the last `-----BEGIN` without an `-----END` after it, or -1
+ */
+function unterminatedPemStart(text) {
+    const begin = text.lastIndexOf(PEM_BEGIN);
+    return begin !== -1 && text.indexOf(PEM_END, begin) === -1 ? begin : -1;
+}
+
+/**
+ * Creates a rolling buffer that scans streamed text before releasing it.
+ *
+ * Text is held until at least `windowSize + holdback` characters are pending, then the
+ * whole pending buffer is scanned and everything but the last `holdback` characters is
+ * released with redactions applied. The held-back tail is rescanned with the next window,
+ * so a secret split across two deltas is seen whole before any part of it is released.
+ * If a match straddles the cut point, the cut is moved back to the start of the match, and text
+ * from a `-----BEGIN` line without its `-----END` yet is withheld however long it grows.
+ *
+ * @param {Function} scanFn - Async function returning a GitGuardian scan result for a string
+ * @param {Object} [options] - Buffer options
+ * @param {number} [options.windowSize=512] - Minimum number of characters released per scan
+ * @param {number} [options.holdback=4096] - Number of trailing characters withheld until the next scan
+ * @param {Object} [options.redactOptions] - Redaction strategy options for redactSensitiveContent
+ * @returns {Object} Redactor with push(text), flush() and redactions
+ */
+function createStreamRedactor(scanFn, options = {}) {
+    const { windowSize = 512, holdback = DEFAULT_HOLDBACK, redactOptions = {} } = options;
+    const redactions = [];
+    let pending = '';
+    let released = 0;
+    // Characters left pending by the last scan, so the next one waits for a full window of new text
+    let retained = 0;
+
+    async function release(final) {
+        const scanResult = (await scanFn(pending)) || {};
+        const ranges = matchRanges(scanResult);
+
+        let cut = final ? pending.length : Math.max(0, pending.length - holdback);
+        const pemStart = final ? -1 : unterminatedPemStart(pending);
+        if (pemStart !== -1 && pemStart < cut) {
+            cut = pemStart;
+        }
+        let moved = true;
+        while (!final && moved) {
+            moved = false;
+            for (const { start, end } of ranges) {
+                if (start < cut && end > cut) {
+                    cut = start;
+                    moved = true;
+                }
+            }
+        }
+
+        const head = pending.slice(0, cut);
+        const policyBreaks = policyBreaksBefore(scanResult, cut);
+        const result = policyBreaks.length > 0
+            ? redactSensitiveContent(head, { policy_breaks: policyBreaks }, redactOptions)
+            : { content: head, redactions: [] };
+
+        redactions.push(...result.redactions.map(redaction => ({
+            ...redaction,
+            start: redaction.start + released,
+            end: redaction.end + released
+        })));
+
+        released += cut;
+        pending = pending.slice(cut);
+        retained = pending.length;
+        return result.content;
+    }
+
+    return {
+        /**
+         * Adds streamed text to the buffer
+         * @param {string} text - The text delta
+         * @returns {Promise<string>} Scanned and redacted text that is safe to release, possibly empty
+         */
+        async push(text) {
+            pending += text;
+            if (pending.length < Math.max(windowSize + holdback, retained + windowSize)) {
+                return '';
+            }
+            return release(false);
+        },
+
+        /**
+         * Scans and releases everything left in the buffer
+         * @returns {Promise<string>} The remaining redacted text
+         */
+        async flush() {
+            if (!pending) {
+                return '';
+            }
+            return release(true);
+        },
+
+        get redactions() {
+            return redactions;
+        }
+    };
+}
+
+/**
+ * Checks whether text could be the start of a vault placeholder such as <<SECRET_12>>
+ * @param {string} text - The trailing text of a stream
+ * @returns {boolean} Whether more text is needed to tell
+ */
+function isPartialPlaceholder(text) {
+    return '<<SECRET_'.startsWith(text) || /^<<SECRET_\d*>?$/.test(text);
+}
+
+/**
+ * Creates a restorer that puts vault secrets back into released stream text.
+ * A placeholder split across deltas is held back until it is complete.
+ * @param {Object|null} vault - The request's secret vault; text passes through unchanged without one
+ * @returns {Object} Restorer with push(text) and flush()
+ */
+function createPlaceholderRestorer(vault) {
+    let pending = '';
+
+    return {
+        /**
+         * Adds released text
+         * @param {string} text - Scanned and redacted text
+         * @returns {string} Text with complete placeholders restored, possibly empty
+         */
+        push(text) {
+            if (!vault) {
+                return text;
+            }
+            pending += text;
+            const start = pending.lastIndexOf('<');
+            const heldFrom = [start - 1, start].find(index => index >= 0 && isPartialPlaceholder(pending.slice(index)));
+            const releasable = heldFrom === undefined ? pending : pending.slice(0, heldFrom);
+            pending = pending.slice(releasable.length);
+            return vault.restore(releasable);
+        },
+
+        /**
+         * Releases any text still held back
+         * @returns {string} The remaining text with placeholders restored
+         */
+        flush() {
+            const remaining = pending;
+            pending = '';
+            return vault ? vault.restore(remaining) : remaining;
+        }
+    };
+}
+
+module.exports = { SSE_HEADERS, formatSseEvent, createStreamRedactor, createPlaceholderRestorer };
@@ -0,0 +1,108 @@
+const { PutItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
+
+/**
+ * Per-caller token usage ledger for chargeback, stored in DynamoDB.
+ *
+ * Items are keyed by `principal_id` (partition key) and `recorded_at` (sort key),
+ * where `recorded_at` is an ISO-8601 timestamp followed by `#<request id>` so that
+ * entries recorded in the same millisecond stay unique and date ranges sort correctly.
+ */
+
+/**
+ * Converts a ledger entry to a DynamoDB item
+ * @param {Object} entry - The usage entry
+ * @returns {Object} The DynamoDB item
+ */
+function toItem(entry) {
+    return {
+        principal_id: { S: entry.principal_id },
+        recorded_at: { S: `${entry.timestamp}#${entry.request_id}` },
+        timestamp: { S: entry.timestamp },
+        request_id: { S: entry.request_id },
+        model: { S: entry.model },
+        bedrock_model: { S: entry.bedrock_model },
+        prompt_tokens: { N: String(entry.prompt_tokens) },
+        completion_tokens: { N: String(entry.completion_tokens) },
+        total_tokens: { N: String(entry.total_tokens) }
+    };
+}
+
+/**
+ * Converts a DynamoDB item back to a ledger entry
+ * @param {Object} item - The DynamoDB item
+ * @returns {Object} The usage entry
+ */
+function fromItem(item) {
+    return {
+        principal_id: item.principal_id.S,
+        timestamp: item.timestamp.S,
+        request_id: item.request_id.S,
+        model: item.model.S,
+        bedrock_model: item.bedrock_model.S,
+        prompt_tokens: Number(item.prompt_tokens.N),
+        completion_tokens: Number(item.completion_tokens.N),
+        total_tokens: Number(item.total_tokens.N)
+    };
+}
+
+/**
+ * Creates a usage ledger
+ * @param {Object} dynamoClient - A DynamoDBClient
+ * @param {string} [tableName] - The ledger table name; the ledger is disabled when omitted
+ * @returns {Object} Ledger with enabled, record(entry) and query(principalId, range)
+ */
+function createUsageLedger(dynamoClient, tableName) {
+    return {
+        enabled: Boolean(tableName),
+
+        /**
+         * Records the token usage of one completion
+         * @param {Object} entry - principal_id, request_id, model, bedrock_model and token counts
+         * @returns {Promise<void>}
+         */
+        async record(entry) {
+            if (!tableName) {
+                return;
+            }
+            const command = new PutItemCommand({
+                TableName: tableName,
+                Item: toItem({ timestamp: new Date().toISOString(), ...entry })
+            });
+            await dynamoClient.send(command);
+        },
+
+        /**
+         * Queries the usage of one principal between two dates, inclusive
+         * @param {string} principalId - The caller principal
+         * @param {Object} range - The date range
+         * @param {string} range.startDate - First day, as YYYY-MM-DD
+         * @param {string} range.endDate - Last day, as YYYY-MM-DD
+         * @returns {Promise<Array<Object>>} Usage entries in chronological order
+         */
+        async query(principalId, { startDate, endDate }) {
+            const entries = [];
+            let exclusiveStartKey;
+
+            do {
+                const command = new QueryCommand({
+                    TableName: tableName,
+                    KeyConditionExpression: 'principal_id = :principal AND recorded_at BETWEEN :start AND :end',
+                    ExpressionAttributeValues: {
+                        ':principal': { S: principalId },
+                        ':start': { S: `${startDate}T00:00:00.000Z` },
+                        // '~' sorts after the '#' separating the timestamp from the request id
+                        ':end': { S: `${endDate}T23:59:59.999Z~` }
+                    },
+                    ExclusiveStartKey: exclusiveStartKey
+                });
+                const response = await dynamoClient.send(command);
+                entries.push(...(response.Items || []).map(fromItem));
+                exclusiveStartKey = response.LastEvaluatedKey;
+            } while (exclusiveStartKey);
+
+            return entries;
+        }
+    };
+}
+
+module.exports = { createUsageLedger };
@@ -0,0 +1,76 @@
+const { DynamoDBClient, PutItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { mockClient } = require('aws-sdk-client-mock');
+const { createUsageLedger } = require('./usage-ledger');
+
+const dynamoMock = mockClient(DynamoDBClient);
+
+const entry = {
+  principal_id: 'user123',
+  request_id: 'chatcmpl-1',
+  model: 'gpt-4o',
+  bedrock_model: 'anthropic.claude-3-sonnet-20240229-v1:0',
+  prompt_tokens: 10,
+  completion_tokens: 5,
+  total_tokens: 15
+};
+
+describe('Usage ledger', () => {
+  beforeEach(() => {
+    dynamoMock.reset();
+  });
+
+  test('should be disabled without a table name', async () => {
+    const ledger = createUsageLedger(new DynamoDBClient(), undefined);
+
+    await ledger.record(entry);
+
+    expect(ledger.enabled).toBe(false);
+    expect(dynamoMock.calls().length).toBe(0);
+  });
+
+  test('should record entries keyed by principal and timestamp', async () => {
+    dynamoMock.on(PutItemCommand).resolves({});
+    const ledger = createUsageLedger(new DynamoDBClient(), 'usage');
+
+    await ledger.record({ ...entry, timestamp: '2026-10-19T12:00:00.000Z' });
+
+    const { input } = dynamoMock.commandCalls(PutItemCommand)[0].args[0];
+    expect(input.TableName).toBe('usage');
+    expect(input.Item.principal_id).toEqual({ S: 'user123' });
+    expect(input.Item.recorded_at).toEqual({ S: '2026-10-19T12:00:00.000Z#chatcmpl-1' });
+    expect(input.Item.total_tokens).toEqual({ N: '15' });
+  });
+
+  test('should query a principal and date range across pages', async () => {
+    const item = {
+      principal_id: { S: 'user123' },
+      recorded_at: { S: '2026-10-19T12:00:00.000Z#chatcmpl-1' },
+      timestamp: { S: '2026-10-19T12:00:00.000Z' },
+      request_id: { S: 'chatcmpl-1' },
+      model: { S: 'gpt-4o' },
+      bedrock_model: { S: 'anthropic.claude-3-sonnet-20240229-v1:0' },
+      prompt_tokens: { N: '10' },
+      completion_tokens: { N: '5' },
+      total_tokens: { N: '15' }
+    };
+    dynamoMock.on(QueryCommand)
+      .resolvesOnce({ Items: [item], LastEvaluatedKey: { principal_id: item.principal_id, recorded_at: item.recorded_at } })
+      .resolvesOnce({ Items: [item] });
+    const ledger = createUsageLedger(new DynamoDBClient(), 'usage');
+
+    const entries = await ledger.query('user123', { startDate: '2026-10-01', endDate: '2026-10-19' });
+
+    expect(entries).toEqual([
+      { ...entry, timestamp: '2026-10-19T12:00:00.000Z' },
+      { ...entry, timestamp: '2026-10-19T12:00:00.000Z' }
+    ]);
+    const calls = dynamoMock.commandCalls(QueryCommand);
+    expect(calls.length).toBe(2);
+    expect(calls[0].args[0].input.ExpressionAttributeValues).toEqual({
+      ':principal': { S: 'user123' },
+      ':start': { S: '2026-10-01T00:00:00.000Z' },
+      ':end': { S: '2026-10-19T23:59:59.999Z~' }
+    });
+    expect(calls[1].args[0].input.ExclusiveStartKey).toBeDefined();
+  });
+});
@@ -42,6 +42,36 @@ resource "aws_apigatewayv2_route" "chat_completions" {
   authorization_type = "CUSTOM"
 }
 
+# Model discovery routes, with and without the OpenAI /v1 prefix
+resource "aws_apigatewayv2_route" "models" {
+  for_each = toset([
+    "GET /models",
+    "GET /models/{model}",
+    "GET /v1/models",
+    "GET /v1/models/{model}"
+  ])
+
+  api_id             = aws_apigatewayv2_api.securellmgateway.id
+  route_key          = each.value
+  target             = "integrations/${aws_apigatewayv2_integration.securellmgateway.id}"
+  authorizer_id      = aws_apigatewayv2_authorizer.lambda_authorizer.id
+  authorization_type = "CUSTOM"
+}
+
+# Usage ledger query routes, with and without the OpenAI /v1 prefix
+resource "aws_apigatewayv2_route" "usage" {
+  for_each = toset([
+    "GET /usage",
+    "GET /v1/usage"
+  ])
+
+  api_id             = aws_apigatewayv2_api.securellmgateway.id
+  route_key          = each.value
+  target             = "integrations/${aws_apigatewayv2_integration.securellmgateway.id}"
+  authorizer_id      = aws_apigatewayv2_authorizer.lambda_authorizer.id
+  authorization_type = "CUSTOM"
+}
+
 # Permission for API Gateway to invoke the authorizer Lambda
 resource "aws_lambda_permission" "api_gateway_authorizer" {
   statement_id  = "AllowAPIGatewayInvokeAuthorizer"
@@ -0,0 +1,76 @@
+# Per-caller token usage ledger for chargeback
+resource "aws_dynamodb_table" "usage_ledger" {
+  name         = "${var.project_name}-usage-ledger"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "principal_id"
+  range_key    = "recorded_at"
+
+  attribute {
+    name = "principal_id"
+    type = "S"
+  }
+
+  attribute {
+    name = "recorded_at"
+    type = "S"
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_usage_ledger" {
+  name = "${var.project_name}-lambda-usage-ledger"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:Query"
+        ]
+        Resource = [
+          aws_dynamodb_table.usage_ledger.arn
+        ]
+      }
+    ]
+  })
+}
+
+# Scan results keyed by content hash, shared between Lambda instances; DynamoDB TTL removes expired items
+resource "aws_dynamodb_table" "scan_cache" {
+  name         = "${var.project_name}-scan-cache"
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "content_hash"
+
+  attribute {
+    name = "content_hash"
+    type = "S"
+  }
+
+  ttl {
+    attribute_name = "expires_at"
+    enabled        = true
+  }
+}
+
+resource "aws_iam_role_policy" "lambda_scan_cache" {
+  name = "${var.project_name}-lambda-scan-cache"
+  role = aws_iam_role.lambda_role.id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:GetItem",
+          "dynamodb:PutItem"
+        ]
+        Resource = [
+          aws_dynamodb_table.scan_cache.arn
+        ]
+      }
+    ]
+  })
+}
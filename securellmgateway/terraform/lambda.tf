@@ -18,6 +18,11 @@ resource "aws_iam_role_policy_attachment" "lambda_basic" {
   policy_arn = "arn:aws:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole"
 }
 
+# Bedrock access follows the gateway's bundled model registry
+locals {
+  model_registry = jsondecode(file("${path.root}/../src/lambda/securellmgateway/models/models.json"))
+}
+
 resource "aws_iam_role_policy" "lambda_bedrock" {
   name = "${var.project_name}-lambda-bedrock"
   role = aws_iam_role.lambda_role.id
@@ -28,10 +33,12 @@ resource "aws_iam_role_policy" "lambda_bedrock" {
       {
         Effect = "Allow"
         Action = [
-          "bedrock:InvokeModel"
+          "bedrock:InvokeModel",
+          "bedrock:InvokeModelWithResponseStream"
         ]
         Resource = [
-          "arn:aws:bedrock:${var.aws_region}::foundation-model/anthropic.claude-3-sonnet-20240229-v1:0"
+          for model in values(local.model_registry.models) :
+          "arn:aws:bedrock:${var.aws_region}::foundation-model/${model.bedrockName}"
         ]
       }
     ]
@@ -88,6 +95,27 @@ data "archive_file" "lambda_zip" {
   output_path = "${path.module}/lambda.zip"
 }
 
+# Shared by the API Gateway function and the streaming function
+locals {
+  lambda_environment = {
+    ENVIRONMENT = var.environment,
+    GITGUARDIAN_SSM_KEY_PATH = var.gitguardian_ssm_key_path,
+    USAGE_TABLE_NAME = aws_dynamodb_table.usage_ledger.name,
+    ENFORCEMENT_MODE = var.enforcement_mode,
+    ENFORCEMENT_OVERRIDES = jsonencode(var.enforcement_overrides),
+    SCAN_FAILURE_MODE = var.scan_failure_mode,
+    SCANNER_BACKEND = var.scanner_backend,
+    SCAN_CACHE_TTL_SECONDS = tostring(var.scan_cache_ttl_seconds),
+    SCAN_CACHE_MAX_ENTRIES = tostring(var.scan_cache_max_entries),
+    SCAN_CACHE_TABLE_NAME = var.scan_cache_shared ? aws_dynamodb_table.scan_cache.name : "",
+    ALLOWLIST = jsonencode(var.allowlist),
+    REVERSIBLE_REDACTION = tostring(var.reversible_redaction),
+    REDACTION_STRATEGY = var.redaction_strategy,
+    REDACTION_STRATEGIES = jsonencode(var.redaction_strategies),
+    REDACTION_HASH_SALT = var.redaction_hash_salt
+  }
+}
+
 resource "aws_lambda_function" "hello_world" {
   filename         = data.archive_file.lambda_zip.output_path
   function_name    = "secure-llm-gateway"
@@ -98,21 +126,43 @@ resource "aws_lambda_function" "hello_world" {
   timeout         = 900
 
   environment {
-    variables = {
-      ENVIRONMENT = var.environment,
-      GITGUARDIAN_SSM_KEY_PATH = var.gitguardian_ssm_key_path
-    }
+    variables = local.lambda_environment
+  }
+}
+
+# Response streaming, deployed when stream_callers lists IAM principals. Function URL requests do not
+# pass through the API Gateway authorizer, so the URL only accepts SigV4-signed requests and the
+# handler only serves the principals in STREAM_CALLERS, with the team and allowed models given there.
+resource "aws_lambda_function" "stream" {
+  count            = length(var.stream_callers) > 0 ? 1 : 0
+  filename         = data.archive_file.lambda_zip.output_path
+  function_name    = "secure-llm-gateway-stream"
+  role             = aws_iam_role.lambda_role.arn
+  handler          = "index.streamHandler"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  runtime          = "nodejs18.x"
+  timeout          = 900
+
+  environment {
+    variables = merge(local.lambda_environment, {
+      STREAM_CALLERS = jsonencode(var.stream_callers)
+    })
   }
 }
 
-# Lambda Function URL removed in favor of API Gateway v2
-# resource "aws_lambda_function_url" "main" {
-#   function_name      = aws_lambda_function.hello_world.function_name
-#   authorization_type = "NONE"
-#
-#   cors {
-#     allow_origins     = ["*"]
-#     allow_methods     = ["POST"]
-#     allow_headers     = ["*"]
-#   }
-# } 
\ No newline at end of file
+resource "aws_lambda_function_url" "stream" {
+  count              = length(var.stream_callers) > 0 ? 1 : 0
+  function_name      = aws_lambda_function.stream[0].function_name
+  authorization_type = "AWS_IAM"
+  invoke_mode        = "RESPONSE_STREAM"
+}
+
+# Lets each stream caller, including those in other accounts, invoke the Function URL
+resource "aws_lambda_permission" "stream_callers" {
+  for_each               = var.stream_callers
+  statement_id           = "AllowStreamCaller-${substr(sha256(each.key), 0, 16)}"
+  action                 = "lambda:InvokeFunctionUrl"
+  function_name          = aws_lambda_function.stream[0].function_name
+  principal              = each.key
+  function_url_auth_type = "AWS_IAM"
+}
@@ -3,11 +3,10 @@ output "lambda_function_name" {
   value       = aws_lambda_function.hello_world.function_name
 }
 
-# Removed in favor of API Gateway
-# output "function_url" {
-#   description = "Lambda Function URL (deprecated)"
-#   value       = aws_lambda_function_url.main.function_url
-# }
+output "stream_function_url" {
+  description = "Response streaming Function URL, which takes SigV4-signed requests from the stream callers (null unless stream_callers is set)"
+  value       = length(aws_lambda_function_url.stream) > 0 ? aws_lambda_function_url.stream[0].function_url : null
+}
 
 output "lambda_function_arn" {
   description = "ARN of the Lambda function"
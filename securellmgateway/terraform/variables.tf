@@ -20,4 +20,97 @@ variable "gitguardian_ssm_key_path" {
   description = "SSM Parameter Store path for GitGuardian API key"
   type        = string
   default     = "/ara/gitguardian/apikey/scan"
-} 
\ No newline at end of file
+} 
+variable "enforcement_mode" {
+  description = "What the gateway does with detected secrets: redact, block or monitor"
+  type        = string
+  default     = "redact"
+
+  validation {
+    condition     = contains(["redact", "block", "monitor"], var.enforcement_mode)
+    error_message = "enforcement_mode must be one of redact, block or monitor."
+  }
+}
+
+variable "enforcement_overrides" {
+  description = "Enforcement mode overrides keyed by GitGuardian detector type or policy name"
+  type        = map(string)
+  default     = {}
+}
+
+variable "scan_failure_mode" {
+  description = "Whether requests are rejected (closed) or forwarded unscanned (open) when GitGuardian scanning fails"
+  type        = string
+  default     = "closed"
+
+  validation {
+    condition     = contains(["closed", "open"], var.scan_failure_mode)
+    error_message = "scan_failure_mode must be closed or open."
+  }
+}
+
+variable "scanner_backend" {
+  description = "Which scanner finds secrets: gitguardian, local (offline rules), fallback (local while GitGuardian is unavailable) or prefilter (local findings added to GitGuardian's)"
+  type        = string
+  default     = "gitguardian"
+
+  validation {
+    condition     = contains(["gitguardian", "local", "fallback", "prefilter"], var.scanner_backend)
+    error_message = "scanner_backend must be gitguardian, local, fallback or prefilter."
+  }
+}
+
+variable "scan_cache_ttl_seconds" {
+  description = "How long scan results are reused for content seen before; 0 turns the scan cache off"
+  type        = number
+  default     = 900
+}
+
+variable "scan_cache_max_entries" {
+  description = "The most scan results each Lambda instance keeps in memory"
+  type        = number
+  default     = 1000
+}
+
+variable "scan_cache_shared" {
+  description = "Share cached scan results between Lambda instances through the scan cache DynamoDB table"
+  type        = bool
+  default     = true
+}
+
+variable "allowlist" {
+  description = "Known harmless secrets that are not redacted: values, hashes, patterns, types, validities, excluded, defaults and per-team rules under teams"
+  type        = any
+  default     = {}
+}
+
+variable "reversible_redaction" {
+  description = "Replace secrets with placeholders that are restored in the caller's response"
+  type        = bool
+  default     = false
+}
+
+variable "redaction_strategy" {
+  description = "How redacted secrets are replaced: redact, typed, partial, mask or hash, or a JSON object with a type and its settings"
+  type        = string
+  default     = "redact"
+}
+
+variable "redaction_strategies" {
+  description = "Redaction strategies keyed by GitGuardian detector type or policy name"
+  type        = map(any)
+  default     = {}
+}
+
+variable "redaction_hash_salt" {
+  description = "Salt for the hash redaction strategy, so hashes correlate across Lambda instances"
+  type        = string
+  default     = ""
+  sensitive   = true
+}
+
+variable "stream_callers" {
+  description = "IAM user or role ARNs allowed to call the response streaming Function URL, each mapped to its caller context: principalId, allowedModels (comma-separated, '*' for all) and optionally team and scope. The streaming function is only deployed when this is set"
+  type        = any
+  default     = {}
+}
@@ -1,14 +1,31 @@
-import './logging.js';
-import log4js from 'log4js';
+import { randomUUID } from 'crypto';
 import express from 'express';
+import { logging } from 'secure-llm-libs';
+import l from './logging.js';
 import metadata from './metadata.js';
 import transport from './transport.js';
 
 await metadata.init();
 
-const l = log4js.getLogger();
 const PORT = 3000;
 
+/**
+ * Returns the ID that ties together the log entries of one request: the caller's
+ * X-Correlation-ID header, else the API Gateway request ID passed on by the Lambda Web Adapter
+ * @param {Object} req - The express request
+ * @returns {string} The correlation ID
+ */
+const correlationIdOf = (req) => {
+    if (req.get('x-correlation-id')) {
+        return req.get('x-correlation-id');
+    }
+    try {
+        return JSON.parse(req.get('x-amzn-request-context')).requestId || randomUUID();
+    } catch {
+        return randomUUID();
+    }
+};
+
 // This function is using Lambda Web Adapter to run express.js on Lambda
 // https://github.com/awslabs/aws-lambda-web-adapter
 const app = express();
@@ -18,17 +35,18 @@ app.get('/health', (req, res) => {
     res.json(metadata.all);
 });
 
-app.use(async (req, res, next) => {
-    l.debug(`> ${req.method} ${req.originalUrl}`);
-    l.debug(req.body);
-    // l.debug(req.headers);
-    return next();
+// Request bodies and headers are never logged, as they can carry secrets
+app.use((req, res, next) => {
+    logging.withContext({ correlation_id: correlationIdOf(req) }, () => {
+        l.debug(`> ${req.method} ${req.originalUrl}`);
+        next();
+    });
 });
 
 await transport.bootstrap(app); 
 
 app.listen(PORT, () => {
-    l.debug(metadata.all);
+    l.debug('metadata', metadata.all);
     l.debug(`listening on http://localhost:${PORT}`);
 });
 
@@ -1,23 +1,7 @@
-import log4js from 'log4js';
+import { logging } from 'secure-llm-libs';
 
-const layout = {
-    type: 'pattern',
-    pattern: '%p [%f{1}:%l:%M] %m%'
-}
+// Sanitized JSON logs shared with the gateway: secrets are masked and each entry
+// carries the correlation ID of the request being handled
+const l = logging.createLogger({ context: { service: 'mcpserver' } });
 
-log4js.configure({
-    appenders: {
-        stdout: {
-            type: 'stdout',
-            enableCallStack: true,
-            layout
-        }
-    },
-    categories: {
-        default: {
-            appenders: ['stdout'],
-            level: 'debug',
-            enableCallStack: true
-        }
-    }
-});
+export default l;
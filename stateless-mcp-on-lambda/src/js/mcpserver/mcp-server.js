@@ -4,6 +4,7 @@ import metadata from "./metadata.js";
 import fs from 'fs';
 import { gitguardian_wrapper } from 'secure-llm-libs';
 import { SSMClient, GetParameterCommand } from '@aws-sdk/client-ssm';
+import l from './logging.js';
 
 let SHORT_DELAY = true;
 const LONG_DELAY_MS = 100;
@@ -63,7 +64,7 @@ const create = () => {
             file_key: z.string().describe('The key of the file to fetch')
         },
         async (input) => {
-            console.log('Fetch file input:', JSON.stringify(input, null, 2));
+            l.debug('Fetch file input', { file_key: input.file_key });
 
             // Always use output.json regardless of file_key argument
             const filePath = './output.json';
@@ -75,13 +76,17 @@ const create = () => {
                 // Get API key from SSM Parameter Store
                 const apiKey = await getGitGuardianApiKey();
 
-                // Scan the content with GitGuardian
-                const { content: redactedContent, redactions } = await gitguardian_wrapper.scan(fileContent, apiKey, { filename: 'output.json' });
+                // Scan the content with GitGuardian, redacting value by value so the result is still valid JSON
+                const { content: redactedContent, redactions, redacted_paths: redactedPaths } = await gitguardian_wrapper.scan(fileContent, apiKey, {
+                    filename: 'output.json',
+                    format: 'json'
+                });
 
                 // Log any detected sensitive information
                 if (redactions && redactions.length > 0) {
-                    console.log('GitGuardian scan found sensitive content:', {
+                    l.info('GitGuardian scan found sensitive content', {
                         redactions_count: redactions.length,
+                        redacted_paths: redactedPaths,
                         policies: redactions.map(r => r.policy).filter((v, i, a) => a.indexOf(v) === i)
                     });
 
@@ -93,7 +98,7 @@ const create = () => {
                     }, {});
 
                     Object.entries(policyCounts).forEach(([policy, count]) => {
-                        console.log({
+                        l.info('Security event', {
                             security_event: true,
                             type: 'sensitive_data_detected',
                             policy: policy,
@@ -112,7 +117,7 @@ const create = () => {
                     ]
                 };
             } catch (error) {
-                console.error('Error scanning file content:', error);
+                l.error('Error scanning file content', { error });
                 return {
                     content: [
                         {
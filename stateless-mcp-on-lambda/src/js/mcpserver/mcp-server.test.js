@@ -0,0 +1,60 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { SSMClient } from '@aws-sdk/client-ssm';
+import metadata from './metadata.js';
+
+// The GitGuardian wrapper keeps the fetch it finds when loaded, so it is replaced first
+const scanResponses = [];
+mock.method(globalThis, 'fetch', async () => ({ ok: true, status: 200, json: async () => scanResponses.shift() }));
+const { default: mcpServer } = await import('./mcp-server.js');
+
+/**
+ * Builds the GitGuardian multiscan response for output.json: the connection URI found in its
+ * `text` value, with the password and host nested inside it
+ * @param {string} content - The content of output.json
+ * @returns {Array<Object>} The scan results
+ */
+function scanResultsFor(content) {
+    const at = (text, type) => {
+        const start = content.indexOf(text);
+        return { type, match: text, index_start: start, index_end: start + text.length - 1 };
+    };
+    const uri = content.match(/amqp:\/\/[^']+/)[0];
+    const { password, host } = JSON.parse(content);
+
+    return [{
+        policy_break_count: 1,
+        policies: ['Secrets detection'],
+        policy_breaks: [{
+            type: 'AMQP Credentials',
+            policy: 'Secrets detection',
+            validity: 'valid',
+            matches: [at(uri, 'connection_uri'), at(password, 'password'), at(host, 'host')]
+        }]
+    }];
+}
+
+test('fetch-file leaves no matched value in output.json', async (t) => {
+    const content = fs.readFileSync('./output.json', 'utf8');
+    const results = scanResultsFor(content);
+    scanResponses.push(results);
+    t.mock.method(SSMClient.prototype, 'send', async () => ({ Parameter: { Value: 'test-api-key' } }));
+
+    await metadata.init();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await mcpServer.create().connect(serverTransport);
+    await client.connect(clientTransport);
+    t.after(() => client.close());
+
+    const { content: [{ text }] } = await client.callTool({ name: 'fetch-file', arguments: { file_key: 'output.json' } });
+
+    const redacted = JSON.parse(text);
+    assert.equal(redacted.password, 'REDACTED');
+    for (const { match } of results[0].policy_breaks[0].matches) {
+        assert.ok(!text.includes(match), `${match} survived redaction`);
+    }
+});
@@ -1,12 +1,10 @@
-import log4js from 'log4js';
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import mcpServer from './mcp-server.js';
 import mcpErrors from './mcp-errors.js';
+import l from './logging.js';
 
 const MCP_PATH = '/mcp';
 
-const l = log4js.getLogger();
-
 const bootstrap = async (app) => {
     app.post(MCP_PATH, postRequestHandler);
     app.get(MCP_PATH, sessionRequestHandler);
@@ -33,7 +31,7 @@ const postRequestHandler = async (req, res) => {
         await newMcpServer.connect(transport);
         await transport.handleRequest(req, res, req.body);
     } catch (err) {
-        l.error(`Error handling MCP request ${err}`);
+        l.error('Error handling MCP request', { error: err });
         if (!res.headersSent) {
             res.status(500).json(mcpErrors.internalServerError)
         }
@@ -66,6 +66,7 @@ resource "aws_lambda_function" "mcp_server" {
     variables = {
       AWS_LWA_PORT = "3000"
       AWS_LAMBDA_EXEC_WRAPPER = "/opt/bootstrap"
+      LOG_LEVEL = "debug"
     }
   }
 }